@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Script for Shopify Order Splitter
+ * ==========================================
+ *
+ * Splits historical or missed orders through the running service's
+ * /admin/backfill API. Prints a dry-run report unless --run is given.
+ * Run with: node backfill.js --from 2024-06-01 --to 2024-06-07
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import fetch from 'node-fetch';
+
+const POLL_INTERVAL_MS = 5000;
+
+// Shop to backfill when the service serves several (--shop)
+let shop = null;
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    warning: '\x1b[33m', // Yellow
+    error: '\x1b[31m',   // Red
+    reset: '\x1b[0m'     // Reset
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Value following a command line flag
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+async function callAdmin(baseUrl, path, method = 'GET', data = null) {
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+    }
+  };
+
+  if (shop) {
+    options.headers['X-Shop-Domain'] = shop;
+  }
+
+  if (data) {
+    options.body = JSON.stringify(data);
+  }
+
+  const response = await fetch(`${baseUrl}/admin${path}`, options);
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.errors ? result.errors.join('; ') : result.error || `HTTP ${response.status}`);
+  }
+
+  return result;
+}
+
+function printReport(report) {
+  log(`Scanned ${report.scanned} orders, ${report.orders.length} to split`, 'success');
+
+  for (const [sku, count] of Object.entries(report.bundleSkus)) {
+    log(`   ${sku}: ${count} orders`);
+  }
+  for (const [reason, count] of Object.entries(report.skipped)) {
+    log(`   Skipped (${reason}): ${count}`);
+  }
+  for (const order of report.orders) {
+    log(`   ${order.orderName} (ID: ${order.orderId}) ${order.createdAt} - ${order.bundleSkus.join(', ')}`);
+  }
+}
+
+// Poll a run until it stops, printing its progress
+async function followRun(baseUrl, id) {
+  for (;;) {
+    const { run } = await callAdmin(baseUrl, `/backfill/${id}`);
+    const { scanned, skipped, split, failed } = run.counts;
+    log(`   ${run.status}: scanned ${scanned}, split ${split}, skipped ${skipped}, failed ${failed}`);
+
+    if (run.status !== 'running') {
+      for (const result of run.results.filter(result => result.status === 'failed')) {
+        log(`   ❌ ${result.orderName} (ID: ${result.orderId}): ${result.error}`, 'error');
+      }
+      if (run.status !== 'done') {
+        log(`Run stopped${run.error ? `: ${run.error}` : ''}. Resume with: node backfill.js --resume ${run.id}`, 'warning');
+      }
+      return run;
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+async function runBackfill(args) {
+  const baseUrl = option(args, '--url') || process.env.TEST_URL || 'http://localhost:3000';
+  shop = option(args, '--shop') || null;
+
+  if (!process.env.ADMIN_TOKEN) {
+    log('❌ ADMIN_TOKEN not configured', 'error');
+    process.exit(1);
+  }
+
+  const resumeId = option(args, '--resume');
+  if (resumeId) {
+    log(`Resuming backfill ${resumeId}`, 'info');
+    await callAdmin(baseUrl, `/backfill/${resumeId}/resume`, 'POST');
+    await followRun(baseUrl, resumeId);
+    return;
+  }
+
+  const filters = {
+    from: option(args, '--from'),
+    to: option(args, '--to'),
+    fulfillmentStatus: option(args, '--fulfillment-status'),
+    tag: option(args, '--tag')
+  };
+
+  if (!args.includes('--run')) {
+    log('🔍 Dry run - no orders will be changed', 'info');
+    const { report } = await callAdmin(baseUrl, '/backfill', 'POST', { ...filters, dryRun: true });
+    printReport(report);
+    log('\nRe-run with --run to split these orders.');
+    return;
+  }
+
+  const { run } = await callAdmin(baseUrl, '/backfill', 'POST', { ...filters, dryRun: false });
+  log(`🚀 Backfill ${run.id} started`, 'success');
+  await followRun(baseUrl, run.id);
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Shopify Order Splitter Backfill Script
+======================================
+
+Usage: node backfill.js [options]
+
+Options:
+  --help, -h                   Show this help message
+  --from <date>                Only orders created on or after this date
+  --to <date>                  Only orders created on or before this date
+  --fulfillment-status <s>     any, unfulfilled, unshipped, partial or shipped (default: unfulfilled)
+  --tag <tag>                  Only orders with this tag
+  --run                        Split the orders (default is a dry-run report)
+  --resume <id>                Resume an interrupted or failed run
+  --shop <domain>              Shop to backfill when the service serves several
+  --url <url>                  Service URL (default: http://localhost:3000)
+
+Environment Variables:
+  TEST_URL              Service URL (default: http://localhost:3000)
+  ADMIN_TOKEN           Admin token for the service's admin API
+
+Examples:
+  node backfill.js --from 2024-06-01 --to 2024-06-07        # Report what would be split
+  node backfill.js --from 2024-06-01 --to 2024-06-07 --run  # Split them
+  node backfill.js --resume 6f1c...                         # Continue a stopped run
+`);
+  process.exit(0);
+}
+
+runBackfill(args).catch(error => {
+  log(`❌ Backfill failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+
+/**
+ * Configuration CLI for Shopify Order Splitter
+ * ============================================
+ *
+ * Manages the service's configuration: the .env file, the SKU mapping
+ * files and (read-only) SHOPS_FILE. Source files are never touched, and
+ * existing settings are merged with rather than overwritten; only values
+ * typed in are written.
+ *
+ *   init                   Ask for the store settings and merge them into .env
+ *   mapping list           Show the bundle mappings
+ *   mapping add ...        Add or replace a bundle mapping
+ *   mapping remove <sku>   Remove a bundle mapping
+ *   validate               Check .env and the mapping files offline
+ *   doctor                 validate, then check the token, the component SKUs
+ *                          and the running service
+ *
+ * Run with: node config.js <command> (see --help)
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import fetch from 'node-fetch';
+import { MAPPINGS_FILE, normalizeMapping, validateMappings, writeMappings } from './lib/mappings.js';
+import { componentSkus, searchVariants } from './lib/catalog.js';
+import { createShopifyClient, DEFAULT_API_VERSION } from './lib/shopify.js';
+import { readEnvFile, updateEnvFile } from './lib/envfile.js';
+
+const ENV_FILE = path.resolve(process.env.DOTENV_CONFIG_PATH || '.env');
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Settings that were only ever written by the old setup script
+const OBSOLETE_KEYS = ['AUTODS_EMAIL', 'AUTODS_PASSWORD'];
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    warning: '\x1b[33m', // Yellow
+    error: '\x1b[31m',   // Red
+    reset: '\x1b[0m'     // Reset
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+// Value following a command line flag
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+// Arguments that are neither flags nor flag values
+function positional(args) {
+  const withValues = ['--file', '--shop', '--url', '--json', '--allocation'];
+  return args.filter((arg, index) => !arg.startsWith('--') && !withValues.includes(args[index - 1]));
+}
+
+function fail(message) {
+  throw Object.assign(new Error(message), { usage: true });
+}
+
+// A credential shown without giving it away
+function mask(value) {
+  return value.length > 8 ? `${value.slice(0, 4)}…${value.slice(-2)}` : '••••';
+}
+
+// Shops listed in SHOPS_FILE, with their mapping files resolved
+function shopsFromFile() {
+  const file = path.resolve(process.env.SHOPS_FILE);
+  const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Object.entries((document && document.shops) || {}).map(([domain, config]) => ({
+    domain: domain.toLowerCase(),
+    accessToken: config && config.accessToken,
+    webhookSecret: config && config.webhookSecret,
+    apiVersion: (config && config.apiVersion) || DEFAULT_API_VERSION,
+    mappingsFile: config && config.mappingsFile ? path.resolve(path.dirname(file), config.mappingsFile) : null
+  }));
+}
+
+// Every shop the service would serve from its configuration (installed
+// app shops live in the data directory and are not included)
+function configuredShops() {
+  if (process.env.SHOPS_FILE) {
+    return shopsFromFile();
+  }
+  if (process.env.SHOPIFY_API_KEY && !process.env.SHOPIFY_ACCESS_TOKEN) {
+    return [];
+  }
+  return [{
+    domain: (process.env.SHOPIFY_STORE || '').toLowerCase(),
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    apiVersion: DEFAULT_API_VERSION,
+    mappingsFile: MAPPINGS_FILE
+  }];
+}
+
+// Mapping file a mapping command acts on: --file, the --shop's file from
+// SHOPS_FILE, or SKU_MAPPINGS_FILE
+function targetMappingsFile(args) {
+  const file = option(args, '--file');
+  if (file) {
+    return path.resolve(file);
+  }
+
+  const domain = option(args, '--shop');
+  if (!domain) {
+    return MAPPINGS_FILE;
+  }
+  if (!process.env.SHOPS_FILE) {
+    fail('--shop needs SHOPS_FILE; use --file for other mapping files');
+  }
+
+  const shop = shopsFromFile().find(candidate => candidate.domain === domain.toLowerCase());
+  if (!shop || !shop.mappingsFile) {
+    fail(`Shop ${domain} has no mapping file in ${process.env.SHOPS_FILE}`);
+  }
+  return shop.mappingsFile;
+}
+
+// A mapping file's document, or an empty one when it does not exist yet
+function readMappingsDocument(file) {
+  if (!fs.existsSync(file)) {
+    return { version: 0, mappings: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read SKU mappings from ${file}: ${error.message}`);
+  }
+}
+
+function saveMappingsDocument(file, document, mappings) {
+  try {
+    const saved = writeMappings(mappings, file, (document.version || 0) + 1);
+    log(`✅ Saved ${file} as version ${saved.version}`, 'success');
+  } catch (error) {
+    (error.validationErrors || [error.message]).forEach(problem => log(`   ❌ ${problem}`, 'error'));
+    throw new Error('Mappings not saved');
+  }
+}
+
+// Parse a component argument: SKU[:QUANTITY[:TITLE]]
+function parseComponent(arg) {
+  const [sku, quantity, ...title] = arg.split(':');
+  return {
+    sku,
+    quantity: quantity ? Number(quantity) : 1,
+    ...(title.length > 0 ? { title: title.join(':') } : {})
+  };
+}
+
+function listMappings(args) {
+  const file = targetMappingsFile(args);
+  const { version, mappings = {} } = readMappingsDocument(file);
+  const skus = Object.keys(mappings);
+
+  log(`📄 ${file} (version ${version || 'none'}): ${skus.length} bundles`);
+  for (const sku of skus) {
+    const { allocation, components, rules } = normalizeMapping(mappings[sku]);
+    const notes = [
+      allocation !== 'weighted' ? `${allocation} allocation` : null,
+      rules.length > 0 ? `${rules.length} rules` : null
+    ].filter(Boolean);
+
+    log(`\n${sku}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`, 'success');
+    for (const component of components || []) {
+      log(`   ${component.quantity} x ${component.sku}${component.title ? ` - ${component.title}` : ''}`);
+    }
+  }
+}
+
+function addMapping(args) {
+  const [bundleSku, ...componentArgs] = positional(args).slice(2);
+  const json = option(args, '--json');
+  if (!bundleSku || (componentArgs.length === 0 && !json)) {
+    fail('Usage: node config.js mapping add <bundle-sku> <sku[:qty[:title]]>... (or --json <mapping>)');
+  }
+
+  const file = targetMappingsFile(args);
+  const document = readMappingsDocument(file);
+  const mappings = document.mappings || {};
+
+  if (mappings[bundleSku] && !args.includes('--replace')) {
+    fail(`${bundleSku} is already mapped - pass --replace to overwrite it`);
+  }
+
+  let mapping = json ? JSON.parse(json) : componentArgs.map(parseComponent);
+  const allocation = option(args, '--allocation');
+  if (allocation && Array.isArray(mapping)) {
+    mapping = { allocation, components: mapping };
+  }
+
+  saveMappingsDocument(file, document, { ...mappings, [bundleSku]: mapping });
+}
+
+function removeMapping(args) {
+  const [bundleSku] = positional(args).slice(2);
+  if (!bundleSku) {
+    fail('Usage: node config.js mapping remove <bundle-sku>');
+  }
+
+  const file = targetMappingsFile(args);
+  const document = readMappingsDocument(file);
+  const { [bundleSku]: removed, ...mappings } = document.mappings || {};
+  if (!removed) {
+    fail(`${bundleSku} is not mapped in ${file}`);
+  }
+
+  saveMappingsDocument(file, document, mappings);
+}
+
+// Problems with the environment, as { level: 'error'|'warn', message }
+function checkEnvironment(env) {
+  const problems = [];
+  const error = message => problems.push({ level: 'error', message });
+  const warn = message => problems.push({ level: 'warn', message });
+
+  if (env.SHOPS_FILE) {
+    let shops = [];
+    try {
+      shops = shopsFromFile();
+    } catch (readError) {
+      error(`SHOPS_FILE ${env.SHOPS_FILE} cannot be read: ${readError.message}`);
+    }
+    if (shops.length === 0 && !env.SHOPIFY_API_KEY) {
+      error(`SHOPS_FILE ${env.SHOPS_FILE} lists no shops`);
+    }
+    for (const shop of shops) {
+      if (!SHOP_DOMAIN.test(shop.domain)) {
+        error(`Shop ${shop.domain} in SHOPS_FILE is not a *.myshopify.com domain`);
+      }
+      if (!shop.accessToken || !shop.mappingsFile) {
+        error(`Shop ${shop.domain} in SHOPS_FILE needs "accessToken" and "mappingsFile"`);
+      }
+      if (!shop.webhookSecret) {
+        (env.WEBHOOK_STRICT === 'true' ? error : warn)(`Shop ${shop.domain} has no webhookSecret - its webhooks cannot be verified`);
+      }
+    }
+  } else if (!env.SHOPIFY_API_KEY || env.SHOPIFY_ACCESS_TOKEN) {
+    if (!env.SHOPIFY_STORE) {
+      error('SHOPIFY_STORE is not set');
+    } else if (!SHOP_DOMAIN.test(env.SHOPIFY_STORE.toLowerCase())) {
+      error(`SHOPIFY_STORE ${env.SHOPIFY_STORE} is not a *.myshopify.com domain`);
+    }
+    if (!env.SHOPIFY_ACCESS_TOKEN) {
+      error('SHOPIFY_ACCESS_TOKEN is not set');
+    }
+  }
+
+  if (env.SHOPIFY_API_KEY) {
+    ['SHOPIFY_API_SECRET', 'APP_URL', 'TOKEN_ENCRYPTION_KEY']
+      .filter(key => !env[key])
+      .forEach(key => error(`${key} is required when SHOPIFY_API_KEY is set`));
+  }
+
+  if (env.APP_URL) {
+    let url = null;
+    try {
+      url = new URL(env.APP_URL);
+    } catch (urlError) {
+      error(`APP_URL ${env.APP_URL} is not a URL`);
+    }
+    if (url && url.protocol !== 'https:') {
+      warn(`APP_URL ${env.APP_URL} is not https - Shopify only delivers webhooks over https`);
+    }
+  }
+
+  if (env.PORT && !/^\d+$/.test(env.PORT)) {
+    error(`PORT ${env.PORT} is not a number`);
+  }
+
+  if (!env.SHOPS_FILE && !env.WEBHOOK_SECRET && !env.SHOPIFY_API_KEY) {
+    (env.WEBHOOK_STRICT === 'true' ? error : warn)('WEBHOOK_SECRET is not set - webhooks cannot be verified');
+  }
+  if (env.SMTP_URL && !env.ALERT_EMAIL_TO) {
+    warn('SMTP_URL is set but ALERT_EMAIL_TO is not - alert emails are not sent');
+  }
+  if (env.ALERT_WEBHOOK_FORMAT && !['json', 'slack'].includes(env.ALERT_WEBHOOK_FORMAT)) {
+    error(`ALERT_WEBHOOK_FORMAT ${env.ALERT_WEBHOOK_FORMAT} must be json or slack`);
+  }
+  if (!env.ALERT_WEBHOOK_URL && !(env.SMTP_URL && env.ALERT_EMAIL_TO) && !env.ALERT_FILE) {
+    warn('No alert channel configured - alerts are only logged');
+  }
+  if (!env.ADMIN_TOKEN) {
+    warn('ADMIN_TOKEN is not set - the admin API and manual processing are disabled');
+  }
+
+  OBSOLETE_KEYS
+    .filter(key => env[key])
+    .forEach(key => warn(`${key} is not used by the service - remove it from ${path.basename(ENV_FILE)}`));
+
+  return problems;
+}
+
+// Problems with one mapping file
+function checkMappingsFile(file) {
+  if (!fs.existsSync(file)) {
+    return [{ level: 'error', message: `${file} does not exist - add a mapping with: node config.js mapping add` }];
+  }
+
+  try {
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = validateMappings(document).map(message => ({ level: 'error', message: `${file}: ${message}` }));
+    if (problems.length === 0 && Object.keys(document.mappings).length === 0) {
+      problems.push({ level: 'warn', message: `${file} has no bundle mappings` });
+    }
+    return problems;
+  } catch (error) {
+    return [{ level: 'error', message: `${file}: ${error.message}` }];
+  }
+}
+
+function report(title, problems) {
+  if (problems.length === 0) {
+    log(`✅ ${title}`, 'success');
+    return;
+  }
+  log(`${problems.some(problem => problem.level === 'error') ? '❌' : '⚠️ '} ${title}`,
+    problems.some(problem => problem.level === 'error') ? 'error' : 'warning');
+  for (const problem of problems) {
+    log(`   ${problem.level === 'error' ? '❌' : '⚠️ '} ${problem.message}`, problem.level === 'error' ? 'error' : 'warning');
+  }
+}
+
+// Offline checks. Returns every problem found.
+function validate() {
+  const environment = checkEnvironment(process.env);
+  report(`Environment (${fs.existsSync(ENV_FILE) ? ENV_FILE : 'no .env file - process environment only'})`, environment);
+
+  const mappingFiles = [...new Set(configuredShops().map(shop => shop.mappingsFile).filter(Boolean))];
+  const mappings = mappingFiles.flatMap(file => {
+    const problems = checkMappingsFile(file);
+    report(`Mappings ${file}`, problems);
+    return problems;
+  });
+
+  return [...environment, ...mappings];
+}
+
+// Component SKUs of a mapping file with no exact product variant
+async function unresolvedComponents(shopify, mappings) {
+  const skus = componentSkus(mappings);
+  const found = new Set((await searchVariants(shopify, skus)).map(variant => variant.sku));
+  return skus.filter(sku => !found.has(sku));
+}
+
+// Online checks of one shop: its token and its component SKUs
+async function checkShop(shop) {
+  const problems = [];
+  if (!shop.accessToken) {
+    return problems;
+  }
+
+  const shopify = createShopifyClient({ store: shop.domain, accessToken: shop.accessToken, apiVersion: shop.apiVersion, maxRetries: 0 });
+  try {
+    const data = await shopify.graphql('query Doctor { shop { name } }');
+    log(`   Connected to ${data.shop.name}`);
+  } catch (error) {
+    problems.push({ level: 'error', message: `Access token rejected or store unreachable: ${error.message}` });
+    return problems;
+  }
+
+  try {
+    const { mappings = {} } = readMappingsDocument(shop.mappingsFile);
+    const missing = await unresolvedComponents(shopify, mappings);
+    if (missing.length > 0) {
+      problems.push({ level: 'error', message: `No product variant for component SKUs: ${missing.join(', ')}` });
+    }
+  } catch (error) {
+    problems.push({ level: 'error', message: `Component SKU check failed: ${error.message}` });
+  }
+
+  return problems;
+}
+
+// The running service's readiness report, if it is reachable
+async function checkService(baseUrl) {
+  let report;
+  try {
+    const response = await fetch(`${baseUrl}/health/ready`);
+    report = await response.json();
+  } catch (error) {
+    return [{ level: 'warn', message: `Service not reachable at ${baseUrl} (${error.message})` }];
+  }
+
+  const problems = [];
+  for (const [name, check] of Object.entries({ storage: report.checks.storage, queue: report.checks.queue })) {
+    if (check.status !== 'pass') {
+      problems.push({ level: check.status === 'fail' ? 'error' : 'warn', message: `${name}: ${check.error || check.status}` });
+    }
+  }
+  for (const [domain, checks] of Object.entries(report.checks.shops)) {
+    for (const [name, check] of Object.entries(checks)) {
+      if (check.status !== 'pass') {
+        problems.push({ level: check.status === 'fail' ? 'error' : 'warn', message: `${domain} ${name}: ${check.error || check.status}` });
+      }
+    }
+  }
+  return problems;
+}
+
+async function doctor(args) {
+  const problems = validate();
+
+  for (const shop of configuredShops().filter(candidate => candidate.accessToken)) {
+    const shopProblems = await checkShop(shop);
+    report(`Store ${shop.domain}`, shopProblems);
+    problems.push(...shopProblems);
+  }
+
+  const baseUrl = option(args, '--url') || process.env.TEST_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const serviceProblems = await checkService(baseUrl);
+  report(`Service ${baseUrl}`, serviceProblems);
+  problems.push(...serviceProblems);
+
+  return problems;
+}
+
+// Ask for the store settings and merge the answers into the .env file.
+// Enter keeps the current value; nothing the user did not type is written.
+async function init() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  // Read lines through the iterator so piped answers are buffered, not dropped
+  const lines = rl[Symbol.asyncIterator]();
+  const question = async prompt => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? '' : value.trim();
+  };
+  const current = readEnvFile(ENV_FILE);
+
+  const settings = [
+    { key: 'SHOPIFY_STORE', prompt: 'Shopify store domain (e.g. your-store.myshopify.com)', check: value => SHOP_DOMAIN.test(value.toLowerCase()) || 'must be a *.myshopify.com domain' },
+    { key: 'SHOPIFY_ACCESS_TOKEN', prompt: 'Admin API access token', secret: true },
+    { key: 'WEBHOOK_SECRET', prompt: 'Webhook secret (optional)', secret: true },
+    { key: 'ADMIN_TOKEN', prompt: 'Admin API token (optional, e.g. from `openssl rand -hex 32`)', secret: true },
+    { key: 'APP_URL', prompt: 'Public URL of the service (optional)', check: value => /^https:\/\//.test(value) || 'must start with https://' },
+    { key: 'PORT', prompt: 'Port (optional, default 3000)', check: value => /^\d+$/.test(value) || 'must be a number' }
+  ];
+
+  log('🚀 Shopify Order Splitter Setup', 'success');
+  log('==============================\n');
+  log(`Settings are merged into ${ENV_FILE}. Press Enter to keep the current value.\n`);
+
+  const updates = {};
+  try {
+    for (const setting of settings) {
+      const existing = current[setting.key];
+      const shown = existing ? ` [${setting.secret ? mask(existing) : existing}]` : '';
+
+      for (;;) {
+        const answer = await question(`${setting.prompt}${shown}: `);
+        const problem = answer && setting.check ? setting.check(answer) : true;
+        if (problem !== true) {
+          log(`   ${problem}`, 'warning');
+          continue;
+        }
+        if (answer && answer !== existing) {
+          updates[setting.key] = setting.key === 'SHOPIFY_STORE' ? answer.toLowerCase() : answer;
+        }
+        break;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      log('\nNothing changed.');
+    } else {
+      log('\nChanges:');
+      for (const [key, value] of Object.entries(updates)) {
+        const secret = settings.find(setting => setting.key === key).secret;
+        log(`   ${key}=${secret ? mask(value) : value}${key in current ? ' (replaces the current value)' : ''}`);
+      }
+
+      const confirm = await question(`\nWrite them to ${ENV_FILE}? (y/n): `);
+      if (confirm.toLowerCase() !== 'y') {
+        log('Nothing written.', 'warning');
+        return;
+      }
+      updateEnvFile(ENV_FILE, updates);
+      log(`✅ Updated ${ENV_FILE}`, 'success');
+    }
+  } finally {
+    rl.close();
+  }
+
+  if (!fs.existsSync(MAPPINGS_FILE)) {
+    writeMappings({}, MAPPINGS_FILE, 1);
+    log(`✅ Created ${MAPPINGS_FILE}`, 'success');
+  }
+
+  log('\n🎯 Next Steps', 'success');
+  log('   node config.js mapping add BUNDLE-SKU COMPONENT-SKU:1:"Title" OTHER-SKU:1', 'warning');
+  log('   node config.js validate', 'warning');
+  log('   npm run dev', 'warning');
+  log('   node config.js doctor', 'warning');
+}
+
+async function main(args) {
+  const [command, subcommand] = positional(args);
+
+  if (command === 'init') {
+    return init();
+  }
+
+  if (command === 'mapping') {
+    const actions = { list: listMappings, add: addMapping, remove: removeMapping };
+    if (!actions[subcommand]) {
+      fail('Usage: node config.js mapping <list|add|remove>');
+    }
+    return actions[subcommand](args);
+  }
+
+  if (command === 'validate' || command === 'doctor') {
+    const problems = command === 'validate' ? validate() : await doctor(args);
+    const errors = problems.filter(problem => problem.level === 'error').length;
+    const warnings = problems.length - errors;
+
+    log(`\n${errors} errors, ${warnings} warnings`, errors > 0 ? 'error' : 'success');
+    if (errors > 0) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  fail(command ? `Unknown command ${command}` : 'No command given');
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Shopify Order Splitter Configuration
+====================================
+
+Usage: node config.js <command> [options]
+
+Commands:
+  init                          Ask for the store settings and merge them into .env
+  mapping list                  Show the bundle mappings
+  mapping add <bundle> <sku[:qty[:title]]>...
+                                Add a bundle mapping (--replace to overwrite one)
+  mapping remove <bundle>       Remove a bundle mapping
+  validate                      Check .env, SHOPS_FILE and the mapping files (offline)
+  doctor                        validate, then check the access token, that every
+                                component SKU exists and the running service
+
+Options:
+  --help, -h                    Show this help message
+  --file <path>                 Mapping file to edit (default: SKU_MAPPINGS_FILE or config/sku-mappings.json)
+  --shop <domain>               Edit this SHOPS_FILE shop's mapping file
+  --allocation <strategy>       weighted, catalog or first, for mapping add
+  --json <mapping>              Mapping as JSON (object form with rules), for mapping add
+  --replace                     Let mapping add overwrite an existing bundle
+  --url <url>                   Service URL for doctor (default: TEST_URL or http://localhost:PORT)
+
+Environment Variables:
+  DOTENV_CONFIG_PATH            .env file to read and update (default: .env)
+
+Examples:
+  node config.js init
+  node config.js mapping add CANDLE_BATTERY_BUNDLE CANDLE_BUNDLE:1:"Floating Candles" BATTERY_ITEM:1
+  node config.js mapping remove CANDLE_BATTERY_BUNDLE
+  node config.js doctor --url https://your-app.railway.app
+`);
+  process.exit(0);
+}
+
+main(args).catch(error => {
+  log(`❌ ${error.message}`, 'error');
+  process.exit(1);
+});
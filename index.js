@@ -15,223 +15,1027 @@
  * Store: thefloatingcandles.com
  */
 
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
-import fetch from 'node-fetch';
-import crypto from 'crypto';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { correlateRequests, log } from './lib/logger.js';
+import { renderMetrics } from './lib/metrics.js';
+import { createReadinessCheck, liveness } from './lib/health.js';
+import { loadMappings, getMappings, getMappingInfo, unwatchMappings, watchMappings } from './lib/mappings.js';
+import { catalogPricedComponents, inventorySkus, splitLineItems } from './lib/splitter.js';
+import { raiseAlert } from './lib/alerts.js';
+import { findVariants, resolveVariant, syncCatalog, updateCatalogFromProduct } from './lib/catalog.js';
+import {
+  activeSplits,
+  getLatestSplit,
+  markReverted,
+  recordOutcome,
+  recordSplit,
+  splitBundleLineItemIds
+} from './lib/audit.js';
+import { requireAdmin, createAdminRouter } from './lib/admin.js';
+import {
+  DELIVERY_STATUS,
+  getDelivery,
+  isOrderSplit,
+  markOrderReverted,
+  recordDelivery,
+  takeUnsplitDeliveries,
+  updateDelivery
+} from './lib/ledger.js';
+import { enqueueJob, registerJobHandler, removeShopJobs, startWorker } from './lib/queue.js';
+import { createBackfill, interruptRuns } from './lib/backfill.js';
+import { createWebhookRouter, webhookAuthFromEnv } from './lib/webhooks.js';
+import { listShops, loadShops, scopeToShop, uninstallShop } from './lib/shops.js';
+import { currentShop, runWithShop } from './lib/context.js';
+import { assertNoUserErrors } from './lib/shopify.js';
+import { createOAuthRouter } from './lib/oauth.js';
+import { HOLDS_ENABLED, checkHolds, flagHeldOrder, holdOrder, releaseHold } from './lib/holds.js';
+import {
+  APP_URL,
+  clearSubscriptionStatus,
+  getSubscriptionStatus,
+  syncSubscriptions
+} from './lib/subscriptions.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Every request gets a correlation ID for its log lines
+app.use(correlateRequests);
+
 // Middleware for raw body (needed for webhook verification)
 app.use('/webhooks', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // Configuration
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE || 'thefloatingcandles.myshopify.com';
-const ADMIN_API_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// Shops served by this process: SHOPS_FILE, or the single shop from
+// SHOPIFY_STORE / SHOPIFY_ACCESS_TOKEN / WEBHOOK_SECRET
+const shops = loadShops();
+const WEBHOOK_AUTH = webhookAuthFromEnv();
+
+// Shopify Admin API client of the shop being processed (paced, retrying)
+function shopify() {
+  return currentShop().shopify;
+}
+
+// Inventory checks before choosing components (opt-in: needs read_inventory)
+const INVENTORY_CHECK = process.env.INVENTORY_CHECK === 'true' || !!process.env.INVENTORY_STUB_FILE;
+const INVENTORY_SHORTAGE_TAG = process.env.INVENTORY_SHORTAGE_TAG || 'bundle-component-unavailable';
+
+// Annotations added to every split order
+const SPLIT_TAG = process.env.SPLIT_TAG || 'split-by-bundle-service';
+const METAFIELD_NAMESPACE = 'order_splitter';
+const METAFIELD_KEY = 'original_bundles';
+
+// Webhook subscriptions are synced at startup when APP_URL is set
+// (WEBHOOK_SYNC=false only checks them) and re-checked periodically
+const WEBHOOK_SYNC = process.env.WEBHOOK_SYNC !== 'false';
+const WEBHOOK_CHECK_INTERVAL_MS = parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Orders still unsplit this long after their delivery are alerted on
+// (0 disables the check)
+const UNSPLIT_ALERT_MINUTES = process.env.UNSPLIT_ALERT_MINUTES
+  ? parseInt(process.env.UNSPLIT_ALERT_MINUTES, 10) || 0
+  : 30;
 
 // SKU Mapping Configuration
-// Define which bundle SKUs should be split into component SKUs
-const skuMappings = {
-  'CANDLE_BATTERY_BUNDLE': [
-    { sku: 'CANDLE_BUNDLE', quantity: 1, title: 'The Original Floating Candles™' },
-    { sku: 'BATTERY_ITEM', quantity: 1, title: 'Energizer AAA Batteries, Max Triple A Max Battery Alkaline, 24 Count' }
-  ],
-  // Add more bundle mappings as needed
-};
-
-// Logging utility
-function log(level, message, data = null) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`);
-  if (data) {
-    console.log(JSON.stringify(data, null, 2));
-  }
-}
-
-// Webhook verification
-function verifyWebhook(data, signature) {
-  if (!WEBHOOK_SECRET) {
-    log('warn', 'Webhook secret not configured - skipping verification');
-    return true;
-  }
-  
-  const hmac = crypto.createHmac('sha256', WEBHOOK_SECRET);
-  hmac.update(data);
-  const calculatedSignature = hmac.digest('base64');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'base64'),
-    Buffer.from(calculatedSignature, 'base64')
-  );
+// Each shop's bundle -> component mappings live in its mapping file
+// (config/sku-mappings.json by default) and are reloaded when it changes.
+for (const mappingsFile of new Set(shops.map(shop => shop.mappingsFile))) {
+  loadMappings(mappingsFile);
+  watchMappings(mappingsFile);
 }
 
-// Shopify API helper
-async function shopifyAPI(endpoint, method = 'GET', data = null) {
-  const url = `https://${SHOPIFY_STORE}/admin/api/2024-01/${endpoint}`;
-  
-  const options = {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': ADMIN_API_ACCESS_TOKEN
+// Convert between REST numeric IDs and GraphQL global IDs
+function toGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+function fromGid(gid) {
+  return String(gid).split('/').pop();
+}
+
+// Convert between money amounts and integer cents
+function toCents(amount) {
+  return Math.round(parseFloat(amount || 0) * 100);
+}
+
+function fromCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// Catalog prices for the components of "catalog"-allocated bundles
+async function loadCatalogPrices(lineItems) {
+  const catalogPrices = {};
+  for (const sku of catalogPricedComponents(lineItems)) {
+    catalogPrices[sku] = (await resolveVariant(sku)).price;
+  }
+  return catalogPrices;
+}
+
+// Catalog entries of every component these line items could split into
+function loadComponentVariants(lineItems) {
+  return findVariants(inventorySkus(lineItems));
+}
+
+// Begin an order edit, returning the calculated order and its lines
+async function beginOrderEdit(orderId) {
+  const begin = await shopify().graphql(`
+    mutation BeginEdit($id: ID!) {
+      orderEditBegin(id: $id) {
+        calculatedOrder {
+          id
+          originalOrder {
+            currencyCode
+            currentTotalPriceSet { shopMoney { amount } }
+          }
+          lineItems(first: 250) {
+            edges { node { id sku quantity } }
+          }
+        }
+        userErrors { field message }
+      }
     }
-  };
+  `, { id: toGid('Order', orderId) });
+  assertNoUserErrors('orderEditBegin', begin.orderEditBegin);
   
-  if (data) {
-    options.body = JSON.stringify(data);
-  }
+  const calculatedOrder = begin.orderEditBegin.calculatedOrder;
+  return {
+    calculatedOrder,
+    calculatedLineItems: calculatedOrder.lineItems.edges.map(edge => edge.node)
+  };
+}
+
+// Add a variant to an order edit at its allocated price
+async function addVariantToEdit(calculatedOrder, addition) {
+  const result = await shopify().graphql(`
+    mutation AddVariant($id: ID!, $variantId: ID!, $quantity: Int!) {
+      orderEditAddVariant(id: $id, variantId: $variantId, quantity: $quantity, allowDuplicates: true) {
+        calculatedLineItem { id }
+        userErrors { field message }
+      }
+    }
+  `, { id: calculatedOrder.id, variantId: addition.variantId, quantity: addition.quantity });
+  assertNoUserErrors('orderEditAddVariant', result.orderEditAddVariant);
   
+  await applyAllocatedPrice(calculatedOrder, result.orderEditAddVariant.calculatedLineItem.id, addition);
+}
+
+// Change the quantity of a line in an order edit
+async function setEditQuantity(calculatedOrder, lineItemId, quantity) {
+  const result = await shopify().graphql(`
+    mutation SetQuantity($id: ID!, $lineItemId: ID!, $quantity: Int!) {
+      orderEditSetQuantity(id: $id, lineItemId: $lineItemId, quantity: $quantity, restock: false) {
+        calculatedOrder { id }
+        userErrors { field message }
+      }
+    }
+  `, { id: calculatedOrder.id, lineItemId, quantity });
+  assertNoUserErrors('orderEditSetQuantity', result.orderEditSetQuantity);
+}
+
+// Commit an order edit without notifying the customer
+async function commitOrderEdit(calculatedOrder, staffNote) {
+  const commit = await shopify().graphql(`
+    mutation CommitEdit($id: ID!, $staffNote: String) {
+      orderEditCommit(id: $id, notifyCustomer: false, staffNote: $staffNote) {
+        order { id }
+        userErrors { field message }
+      }
+    }
+  `, { id: calculatedOrder.id, staffNote });
+  assertNoUserErrors('orderEditCommit', commit.orderEditCommit);
+  return commit.orderEditCommit.order;
+}
+
+// Update order with new line items
+// Shopify ignores line_items on the REST order update endpoint, so the split
+// is applied through an order edit: begin, add each component variant, zero
+// out the bundle lines, commit, then read the order back to confirm it.
+// onCommitted() runs as soon as the edit is committed, before that check.
+async function updateOrder(orderId, lineItems, { onCommitted = () => {} } = {}) {
   try {
-    const response = await fetch(url, options);
-    const result = await response.json();
+    log('info', `Updating order ${orderId} with split SKUs`);
+    
+    const components = lineItems.filter(item => item.bundle_line_item_id);
+    const bundleLineItemIds = [...new Set(components.map(item => String(item.bundle_line_item_id)))];
+    
+    if (components.length === 0) {
+      log('info', `Order ${orderId} has no component lines to add`);
+      return { order: null, unverified: null };
+    }
+    
+    // Resolve and price every component before touching the order
+    const additions = [];
+    for (const component of components) {
+      additions.push(...pricedAdditions(component, await resolveVariant(component.sku)));
+    }
+    
+    const { calculatedOrder, calculatedLineItems } = await beginOrderEdit(orderId);
+    
+    // Add the component variants
+    for (const addition of additions) {
+      await addVariantToEdit(calculatedOrder, addition);
+    }
+    
+    // Remove the bundle lines by setting their quantity to zero
+    for (const bundleLineItemId of bundleLineItemIds) {
+      const calculatedLineItem = calculatedLineItems.find(node => fromGid(node.id) === bundleLineItemId);
+      if (!calculatedLineItem) {
+        throw new Error(`Bundle line item ${bundleLineItemId} not found in order edit`);
+      }
+      
+      await setEditQuantity(calculatedOrder, calculatedLineItem.id, 0);
+    }
     
-    if (!response.ok) {
-      throw new Error(`Shopify API Error: ${response.status} - ${JSON.stringify(result)}`);
+    const order = await commitOrderEdit(calculatedOrder, 'Bundle SKUs split by order splitter');
+    await onCommitted();
+    
+    // The split is in; retrying would add the components a second time,
+    // so a failed check is alerted on and returned rather than thrown
+    try {
+      const { totalPrice } = await verifyOrderSplit(orderId, components, bundleLineItemIds);
+      await checkOrderTotal(orderId, calculatedOrder.originalOrder, totalPrice);
+    } catch (error) {
+      await raiseAlert(
+        'split-unverified',
+        `Order ${orderId} was split but could not be verified: ${error.message}`,
+        { orderId }
+      );
+      return { order, unverified: error.message };
     }
     
-    return result;
+    log('info', `Order ${orderId} updated successfully`);
+    return { order, unverified: null };
   } catch (error) {
-    log('error', `Shopify API request failed: ${error.message}`);
+    log('error', `Failed to update order ${orderId}: ${error.message}`);
     throw error;
   }
 }
 
-// Split order line items based on SKU mappings
-function splitLineItems(originalLineItems) {
-  const newLineItems = [];
-  let hasChanges = false;
+// Order edit additions for a component line. Added variants come in at
+// their catalog price, so each unit is discounted down to its allocated
+// price less its share of the bundle's discounts. Those discounts are
+// per unit, in whole cents: a net total that does not divide by the
+// quantity becomes two additions one cent apart, keeping the order total
+// exact. A discount cannot raise a price, so a unit whose net price is
+// above its catalog price refuses the edit instead, with a permanent
+// error the job queue does not retry. Reverts add the
+// bundle lines back the same way.
+function pricedAdditions(component, variant) {
+  const catalogCents = toCents(variant.price);
+  const discountCents = (component.discount_allocations || [])
+    .reduce((sum, discount) => sum + toCents(discount.amount), 0);
+  const netCents = toCents(component.price) * component.quantity - discountCents;
+  
+  const unit = Math.floor(netCents / component.quantity);
+  const remainder = netCents - unit * component.quantity;
+  const highest = remainder > 0 ? unit + 1 : unit;
+  
+  if (highest > catalogCents) {
+    throw Object.assign(
+      new Error(`Cannot add ${component.sku} at ${fromCents(highest)}: ` +
+        `a discount cannot raise its catalog price of ${variant.price}`),
+      { permanent: true }
+    );
+  }
+  
+  return [
+    { quantity: component.quantity - remainder, unitCents: unit },
+    { quantity: remainder, unitCents: unit + 1 }
+  ]
+    .filter(part => part.quantity > 0)
+    .map(part => ({
+      sku: component.sku,
+      variantId: variant.variantId,
+      quantity: part.quantity,
+      discountCents: catalogCents - part.unitCents
+    }));
+}
+
+// Discount an added line down to the unit price worked out for it
+async function applyAllocatedPrice(calculatedOrder, lineItemId, addition) {
+  if (addition.discountCents === 0) {
+    return;
+  }
+  
+  const result = await shopify().graphql(`
+    mutation AddDiscount($id: ID!, $lineItemId: ID!, $discount: OrderEditAppliedDiscountInput!) {
+      orderEditAddLineItemDiscount(id: $id, lineItemId: $lineItemId, discount: $discount) {
+        calculatedLineItem { id }
+        userErrors { field message }
+      }
+    }
+  `, {
+    id: calculatedOrder.id,
+    lineItemId,
+    discount: {
+      description: 'Bundle price allocation',
+      fixedValue: {
+        amount: fromCents(addition.discountCents),
+        currencyCode: calculatedOrder.originalOrder.currencyCode
+      }
+    }
+  });
+  assertNoUserErrors('orderEditAddLineItemDiscount', result.orderEditAddLineItemDiscount);
+}
+
+// Read the order back and confirm the component lines landed. Resolves
+// to the order's total after the split.
+async function verifyOrderSplit(orderId, components, bundleLineItemIds) {
+  const data = await shopify().graphql(`
+    query VerifyOrder($id: ID!) {
+      order(id: $id) {
+        currentTotalPriceSet { shopMoney { amount } }
+        lineItems(first: 250) {
+          edges { node { id sku currentQuantity } }
+        }
+      }
+    }
+  `, { id: toGid('Order', orderId) });
   
-  for (const item of originalLineItems) {
-    const mapping = skuMappings[item.sku];
+  const orderLineItems = data.order.lineItems.edges.map(edge => edge.node);
+  
+  // Several bundles can share a component, so compare totals per SKU
+  const expected = {};
+  for (const component of components) {
+    expected[component.sku] = (expected[component.sku] || 0) + component.quantity;
+  }
+  
+  for (const [sku, quantity] of Object.entries(expected)) {
+    const actual = orderLineItems
+      .filter(node => node.sku === sku)
+      .reduce((sum, node) => sum + node.currentQuantity, 0);
     
-    if (mapping) {
-      log('info', `Splitting bundle SKU: ${item.sku} (quantity: ${item.quantity})`);
-      hasChanges = true;
-      
-      // Add component SKUs
-      for (const component of mapping) {
-        newLineItems.push({
-          variant_id: null, // Will be resolved by Shopify
-          sku: component.sku,
-          quantity: component.quantity * item.quantity,
-          title: component.title,
-          price: (parseFloat(item.price) / mapping.length).toFixed(2), // Split price evenly
-          grams: item.grams || 0,
-          taxable: item.taxable || false
-        });
+    if (actual < quantity) {
+      throw new Error(`Verification failed: expected ${quantity} x ${sku} on order ${orderId}, found ${actual}`);
+    }
+  }
+  
+  for (const bundleLineItemId of bundleLineItemIds) {
+    const bundleLine = orderLineItems.find(node => fromGid(node.id) === bundleLineItemId);
+    if (bundleLine && bundleLine.currentQuantity > 0) {
+      throw new Error(`Verification failed: bundle line ${bundleLineItemId} still has quantity ${bundleLine.currentQuantity}`);
+    }
+  }
+  
+  return { totalPrice: data.order.currentTotalPriceSet.shopMoney.amount };
+}
+
+// A split should leave the order total as it was; alert when it moved,
+// e.g. because a catalog price changed in Shopify since it was cached
+async function checkOrderTotal(orderId, originalOrder, totalPrice) {
+  const before = originalOrder.currentTotalPriceSet.shopMoney.amount;
+  const shiftCents = Math.round(parseFloat(totalPrice) * 100) - Math.round(parseFloat(before) * 100);
+  
+  if (shiftCents !== 0) {
+    await raiseAlert(
+      'order-total-changed',
+      `Order ${orderId} total changed from ${before} to ${totalPrice} ${originalOrder.currencyCode} when it was split`,
+      { orderId, before, after: totalPrice, currencyCode: originalOrder.currencyCode }
+    );
+  }
+}
+
+// Undo one split using its audit record: remove the component lines it
+// added and add its bundle lines back at their original price
+async function revertSplit(orderId, split) {
+  log('info', `Reverting split ${split.id} of order ${orderId}`);
+  
+  const components = split.resultingLineItems.filter(item => item.bundle_line_item_id);
+  const bundleLineItemIds = new Set(components.map(item => String(item.bundle_line_item_id)));
+  const bundles = split.originalLineItems.filter(item => bundleLineItemIds.has(String(item.id)));
+  const originalLineItemIds = new Set(split.originalLineItems.map(item => String(item.id)));
+  
+  // Resolve and price the bundle variants before touching the order
+  const additions = [];
+  for (const bundle of bundles) {
+    additions.push(...pricedAdditions(bundle, await resolveVariant(bundle.sku)));
+  }
+  
+  const { calculatedOrder, calculatedLineItems } = await beginOrderEdit(orderId);
+  
+  // Units of each component SKU the split added
+  const toRemove = {};
+  for (const component of components) {
+    toRemove[component.sku] = (toRemove[component.sku] || 0) + component.quantity;
+  }
+  
+  // Take them off the lines the split created, never off lines the
+  // order already had before it was split
+  for (const [sku, quantity] of Object.entries(toRemove)) {
+    let remaining = quantity;
+    const lines = calculatedLineItems.filter(node =>
+      node.sku === sku && node.quantity > 0 && !originalLineItemIds.has(fromGid(node.id))
+    );
+    
+    for (const line of lines) {
+      if (remaining === 0) {
+        break;
       }
-    } else {
-      // Keep original item unchanged
-      newLineItems.push({
-        id: item.id,
-        variant_id: item.variant_id,
-        sku: item.sku,
-        quantity: item.quantity,
-        title: item.title,
-        price: item.price,
-        grams: item.grams,
-        taxable: item.taxable
-      });
+      const removed = Math.min(line.quantity, remaining);
+      await setEditQuantity(calculatedOrder, line.id, line.quantity - removed);
+      remaining -= removed;
+    }
+    
+    if (remaining > 0) {
+      throw Object.assign(
+        new Error(`Order ${orderId} no longer has the ${quantity} x ${sku} its split added - revert by hand`),
+        { status: 409 }
+      );
     }
   }
   
-  return { newLineItems, hasChanges };
+  for (const addition of additions) {
+    await addVariantToEdit(calculatedOrder, addition);
+  }
+  
+  await commitOrderEdit(calculatedOrder, 'Bundle split reverted by order splitter');
 }
 
-// Update order with new line items
-async function updateOrder(orderId, lineItems) {
+// Undo every split of an order still in place, newest first, so an order
+// split in several stages (bundle lines added later) gets all of its
+// bundles back. Refuses orders with no split and orders already reverted;
+// errors carry an HTTP status for the admin API. A failed revert leaves
+// the splits it already undid marked, and can be retried.
+async function revertOrder(orderId, { actor }) {
+  const splits = activeSplits(orderId);
+  
+  if (splits.length === 0) {
+    const latest = getLatestSplit(orderId);
+    if (!latest) {
+      throw Object.assign(new Error(`No split recorded for order ${orderId}`), { status: 404 });
+    }
+    throw Object.assign(new Error(`Split of order ${orderId} was already reverted at ${latest.revert.revertedAt}`), { status: 409 });
+  }
+  
+  for (const split of splits) {
+    await revertSplit(orderId, split);
+    markReverted(split.id, { actor });
+  }
+  markOrderReverted(orderId);
+  
   try {
-    log('info', `Updating order ${orderId} with split SKUs`);
+    const result = await shopify().graphql(`
+      mutation UntagOrder($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors { field message }
+        }
+      }
+    `, { id: toGid('Order', orderId), tags: [SPLIT_TAG] });
+    assertNoUserErrors('tagsRemove', result.tagsRemove);
+  } catch (error) {
+    log('error', `Failed to remove ${SPLIT_TAG} tag from order ${orderId}: ${error.message}`);
+  }
+  
+  log('info', `Order ${orderId} reverted to its pre-split line items`);
+  return { orderId: String(orderId), auditIds: splits.map(split => split.id) };
+}
+
+// Shipping country code used by conditional mappings
+function shippingCountry(order) {
+  return (order.shipping_address && order.shipping_address.country_code) || null;
+}
+
+// Units available per component SKU, or null when checks are disabled
+async function loadAvailability(lineItems) {
+  if (!INVENTORY_CHECK) {
+    return null;
+  }
+  return currentShop().inventory.getAvailability(inventorySkus(lineItems));
+}
+
+// Add tags to an order
+async function addOrderTags(orderId, tags) {
+  const result = await shopify().graphql(`
+    mutation TagOrder($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors { field message }
+      }
+    }
+  `, { id: toGid('Order', orderId), tags });
+  assertNoUserErrors('tagsAdd', result.tagsAdd);
+}
+
+// Whether a REST order payload carries a tag
+function hasOrderTag(order, tag) {
+  return (order.tags || '').split(',').map(value => value.trim()).includes(tag);
+}
+
+// Mark a split order so staff can see what it originally held: a tag,
+// plus a JSON metafield listing the original bundle SKUs and quantities.
+// The split is already committed, so failures are logged, not thrown.
+async function annotateSplitOrder(order, bundleLineItems) {
+  try {
+    await addOrderTags(order.id, [SPLIT_TAG]);
     
-    const result = await shopifyAPI(`orders/${orderId}.json`, 'PUT', {
-      order: {
-        id: orderId,
-        line_items: lineItems
+    const result = await shopify().graphql(`
+      mutation SetOriginalBundles($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
       }
+    `, {
+      metafields: [{
+        ownerId: toGid('Order', order.id),
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEY,
+        type: 'json',
+        value: JSON.stringify(bundleLineItems.map(item => ({
+          line_item_id: item.id,
+          sku: item.sku,
+          quantity: item.quantity
+        })))
+      }]
     });
-    
-    log('info', `Order ${orderId} updated successfully`);
-    return result;
+    assertNoUserErrors('metafieldsSet', result.metafieldsSet);
   } catch (error) {
-    log('error', `Failed to update order ${orderId}: ${error.message}`);
-    throw error;
+    log('error', `Failed to annotate split order ${order.id}: ${error.message}`);
   }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    service: 'shopify-order-splitter',
-    version: '1.0.0'
-  });
-});
+// Tag the order and raise an alert for components that were split in
+// even though neither they nor a substitute are in stock
+async function reportUnavailableComponents(order, unavailable) {
+  const skus = [...new Set(unavailable.map(entry => entry.sku))];
+  
+  try {
+    await addOrderTags(order.id, [INVENTORY_SHORTAGE_TAG]);
+  } catch (error) {
+    log('error', `Failed to tag order ${order.id} as ${INVENTORY_SHORTAGE_TAG}: ${error.message}`);
+  }
+  
+  await raiseAlert(
+    'component-unavailable',
+    `Order ${order.name || order.id} needs out-of-stock components with no available substitute: ${skus.join(', ')}`,
+    { orderId: order.id, orderName: order.name, unavailable }
+  );
+}
 
-// Configuration endpoint
-app.get('/config', (req, res) => {
-  res.json({
-    store: SHOPIFY_STORE,
-    skuMappings: Object.keys(skuMappings),
-    webhookConfigured: !!WEBHOOK_SECRET,
-    apiConfigured: !!ADMIN_API_ACCESS_TOKEN
+// Split an order's bundle lines in Shopify, then audit and annotate it.
+// actor is 'webhook' or 'manual'. The audit record, and the delivery
+// behind the split when deliveryKey is given, are written the moment the
+// edit is committed, so a retried job finds the order split. Returns the
+// split result; hasChanges is false when the order had nothing to split,
+// and unverified holds the reason a committed split failed its check.
+async function splitOrder(order, { actor, deliveryKey = null }) {
+  const catalogPrices = await loadCatalogPrices(order.line_items);
+  const availability = await loadAvailability(order.line_items);
+  const variants = await loadComponentVariants(order.line_items);
+  const result = splitLineItems(order.line_items, getMappings(), {
+    catalogPrices,
+    availability,
+    variants,
+    shippingCountry: shippingCountry(order)
   });
-});
+  
+  if (!result.hasChanges) {
+    return { ...result, unverified: null };
+  }
+  
+  const { unverified } = await updateOrder(order.id, result.newLineItems, {
+    onCommitted: () => {
+      const audit = recordSplit({
+        orderId: order.id,
+        orderName: order.name,
+        actor,
+        mappingVersion: getMappingInfo().version,
+        originalLineItems: order.line_items,
+        resultingLineItems: result.newLineItems
+      });
+      log('info', `Order ${order.id} split recorded as audit ${audit.id}`);
+      
+      if (deliveryKey) {
+        updateDelivery(deliveryKey, DELIVERY_STATUS.SPLIT);
+      }
+    }
+  });
+  
+  const bundleLineItemIds = new Set(result.newLineItems
+    .filter(item => item.bundle_line_item_id)
+    .map(item => String(item.bundle_line_item_id)));
+  const bundleLineItems = order.line_items.filter(item => bundleLineItemIds.has(String(item.id)));
+  
+  await annotateSplitOrder(order, bundleLineItems);
+  
+  if (result.unavailable.length > 0) {
+    await reportUnavailableComponents(order, result.unavailable);
+  }
+  
+  return { ...result, unverified };
+}
+
+// Release a split order's hold, unless its split could not be verified:
+// then the order stays held and is flagged for a manual check
+async function settleHold(orderId, unverified) {
+  if (unverified) {
+    await flagHeldOrder(orderId, `Split could not be verified: ${unverified}`);
+    return;
+  }
+  await releaseHold(orderId, 'Split completed');
+}
+
+// Mark a job's delivery skipped. A delivery that an earlier attempt of
+// the job already split keeps its status.
+function skipDelivery(deliveryKey, message) {
+  if (getDelivery(deliveryKey).status !== DELIVERY_STATUS.SPLIT) {
+    updateDelivery(deliveryKey, DELIVERY_STATUS.SKIPPED, message);
+  }
+}
+
+// Background split job for webhook deliveries
+const SPLIT_ORDER_JOB = 'split-order';
+
+registerJobHandler(SPLIT_ORDER_JOB, async ({ deliveryKey, order }) => {
+  if (isOrderSplit(order.id)) {
+    log('info', `Order ${order.id} was already split - skipping`);
+    skipDelivery(deliveryKey, 'Order already split');
+    await releaseHold(order.id, 'Order already split');
+    return;
+  }
+  
+  const { hasChanges, unverified } = await splitOrder(order, { actor: 'webhook', deliveryKey });
+  
+  if (!hasChanges) {
+    skipDelivery(deliveryKey, 'No bundle SKUs');
+    await releaseHold(order.id, 'No bundle SKUs');
+    return;
+  }
+  
+  await settleHold(order.id, unverified);
+  log('info', `Order ${order.id} processing completed successfully`);
+}, { onDeadLetter: failDelivery });
+
+// Background job splitting bundle lines added to an existing order. The
+// order is fetched again so the job acts on its current state.
+const SPLIT_NEW_LINES_JOB = 'split-new-lines';
+
+registerJobHandler(SPLIT_NEW_LINES_JOB, async ({ deliveryKey, orderId }) => {
+  const { order } = await shopify().request(`orders/${orderId}.json`);
+  const newLines = newBundleLineItems(order);
+  
+  if (newLines.length === 0) {
+    log('info', `Order ${orderId} has no new bundle lines to split`);
+    skipDelivery(deliveryKey, 'No new bundle lines');
+    await releaseHold(orderId, 'No new bundle lines');
+    return;
+  }
+  
+  // orders/edited deliveries are not held when they arrive, as their
+  // payload has no order to check; hold here before splitting
+  await holdForSplit(order);
+  
+  // Leave out bundle lines split before so they are not split again
+  const mappings = getMappings();
+  const newLineIds = new Set(newLines.map(item => String(item.id)));
+  const lineItems = order.line_items.filter(item => !mappings[item.sku] || newLineIds.has(String(item.id)));
+  
+  const { hasChanges, unverified } = await splitOrder({ ...order, line_items: lineItems }, { actor: 'webhook', deliveryKey });
+  
+  if (!hasChanges) {
+    skipDelivery(deliveryKey, 'No bundle SKUs');
+    await releaseHold(orderId, 'No bundle SKUs');
+    return;
+  }
+  
+  await settleHold(orderId, unverified);
+  log('info', `New bundle lines on order ${orderId} split successfully`);
+}, { onDeadLetter: failDelivery });
+
+// Mark the delivery behind a dead-lettered job as failed and alert on it.
+// A held order stays on hold and is flagged, which raises its own alert.
+async function failDelivery({ deliveryKey, orderId, order }, job, error) {
+  const id = orderId || order.id;
+  updateDelivery(deliveryKey, DELIVERY_STATUS.FAILED, error.message);
+  
+  if (await flagHeldOrder(id, error.message)) {
+    return;
+  }
+  
+  await raiseAlert(
+    'split-failed',
+    `Order ${(order && order.name) || id} could not be split` +
+      (error.permanent ? '' : ` after ${job.attempts} attempts`) + `: ${error.message}`,
+    { orderId: id, deliveryKey, jobId: job.id }
+  );
+}
 
-// Main webhook handler for order creation
-app.post('/webhooks/orders/create', async (req, res) => {
+// Alert on orders whose split has not settled UNSPLIT_ALERT_MINUTES
+// after their delivery arrived, e.g. because the worker is stuck
+async function checkUnsplitOrders() {
+  if (UNSPLIT_ALERT_MINUTES <= 0) {
+    return;
+  }
+  
+  for (const delivery of takeUnsplitDeliveries(UNSPLIT_ALERT_MINUTES * 60 * 1000)) {
+    await raiseAlert(
+      'order-unsplit',
+      `Order ${delivery.orderId} is still unsplit ${UNSPLIT_ALERT_MINUTES} minutes after its ${delivery.topic} delivery`,
+      { orderId: delivery.orderId, deliveryKey: delivery.key, topic: delivery.topic, receivedAt: delivery.receivedAt }
+    );
+  }
+}
+
+// Put an order on fulfillment hold before its split is queued, so it
+// cannot be fulfilled unsplit. A failed hold is alerted on but does not
+// stop the split.
+async function holdForSplit(order) {
+  if (!HOLDS_ENABLED) {
+    return;
+  }
+  
   try {
-    // Verify webhook signature
-    const signature = req.get('X-Shopify-Hmac-Sha256');
-    if (signature && !verifyWebhook(req.body, signature)) {
-      log('error', 'Webhook verification failed');
-      return res.status(401).send('Unauthorized');
-    }
-    
-    // Parse order data
-    const order = JSON.parse(req.body.toString());
-    log('info', `Processing new order: ${order.id} (${order.name})`);
-    
-    // Check if order has any bundle SKUs that need splitting
-    const { newLineItems, hasChanges } = splitLineItems(order.line_items);
-    
-    if (!hasChanges) {
-      log('info', `Order ${order.id} has no bundle SKUs to split`);
-      return res.status(200).send('No changes needed');
+    await holdOrder(order.id);
+  } catch (error) {
+    await raiseAlert(
+      'order-hold-failed',
+      `Order ${order.name || order.id} could not be put on hold before splitting: ${error.message}`,
+      { orderId: order.id, orderName: order.name }
+    );
+  }
+}
+
+// Bundle lines of an existing order that still need splitting: unfulfilled
+// and never split before. Cancelled orders, and orders whose latest split
+// was reverted, are left alone.
+function newBundleLineItems(order) {
+  const latest = getLatestSplit(order.id);
+  if (order.cancelled_at || (latest && latest.revert)) {
+    return [];
+  }
+  
+  const mappings = getMappings();
+  const splitIds = splitBundleLineItemIds(order.id);
+  return order.line_items.filter(item =>
+    mappings[item.sku] && item.fulfillable_quantity > 0 && !splitIds.has(String(item.id))
+  );
+}
+
+// orders/create: hold the order and queue the split of its bundle lines
+async function handleOrderCreated(order, { delivery }) {
+  log('info', `Processing new order: ${order.id} (${order.name})`);
+  
+  if (isOrderSplit(order.id)) {
+    log('info', `Order ${order.id} was already split - skipping`);
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'Order already split' };
+  }
+  
+  // Check if order has any bundle SKUs that need splitting
+  const { hasChanges } = splitLineItems(order.line_items, getMappings(), {
+    shippingCountry: shippingCountry(order)
+  });
+  
+  if (!hasChanges) {
+    log('info', `Order ${order.id} has no bundle SKUs to split`);
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'No bundle SKUs' };
+  }
+  
+  await holdForSplit(order);
+  
+  // Hand the split to the worker so Shopify gets its 200 right away
+  enqueueJob(SPLIT_ORDER_JOB, {
+    deliveryKey: delivery.key,
+    order: {
+      id: order.id,
+      name: order.name,
+      line_items: order.line_items,
+      shipping_address: { country_code: shippingCountry(order) }
     }
-    
-    // Update the order with split SKUs
-    await updateOrder(order.id, newLineItems);
-    
-    log('info', `Order ${order.id} processing completed successfully`);
-    res.status(200).send('Order processed successfully');
-    
+  });
+  
+  return { status: null, message: 'Order queued for splitting' };
+}
+
+// orders/updated: queue a split when bundle lines were added to the order.
+// Our own split edits arrive here too and are skipped, because the bundle
+// lines they removed have nothing left to fulfill.
+async function handleOrderUpdated(order, { delivery }) {
+  if (newBundleLineItems(order).length === 0) {
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'No new bundle lines' };
+  }
+  
+  log('info', `Bundle lines added to order ${order.id} (${order.name})`);
+  await holdForSplit(order);
+  enqueueJob(SPLIT_NEW_LINES_JOB, { deliveryKey: delivery.key, orderId: order.id });
+  return { status: null, message: 'New bundle lines queued for splitting' };
+}
+
+// orders/edited: the payload only lists changed line IDs, so any edit that
+// added lines queues a check of the whole order
+function handleOrderEdited({ order_edit: edit }, { delivery }) {
+  if (!edit.line_items?.additions?.length) {
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'No lines added' };
+  }
+  
+  enqueueJob(SPLIT_NEW_LINES_JOB, { deliveryKey: delivery.key, orderId: edit.order_id });
+  return { status: null, message: 'Edited order queued for checking' };
+}
+
+// orders/cancelled: note the cancellation on the order's split audit. A
+// hold waiting for the split is no longer needed.
+async function handleOrderCancelled(order) {
+  await releaseHold(order.id, 'Order cancelled');
+  
+  const record = recordOutcome(order.id, {
+    type: 'cancelled',
+    reason: order.cancel_reason || null,
+    occurredAt: order.cancelled_at
+  });
+  
+  if (!record) {
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'Order was not split' };
+  }
+  
+  log('info', `Cancellation of split order ${order.id} recorded on audit ${record.id}`);
+  return { status: DELIVERY_STATUS.RECORDED, message: 'Cancellation recorded' };
+}
+
+// refunds/create: note the refunded lines on the order's split audit
+function handleRefundCreated(refund) {
+  const record = recordOutcome(refund.order_id, {
+    type: 'refund',
+    refundId: String(refund.id),
+    occurredAt: refund.created_at,
+    lineItems: (refund.refund_line_items || []).map(item => ({
+      lineItemId: String(item.line_item_id),
+      sku: item.line_item ? item.line_item.sku : null,
+      quantity: item.quantity,
+      subtotal: item.subtotal
+    }))
+  });
+  
+  if (!record) {
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'Order was not split' };
+  }
+  
+  log('info', `Refund ${refund.id} of split order ${refund.order_id} recorded on audit ${record.id}`);
+  return { status: DELIVERY_STATUS.RECORDED, message: 'Refund recorded' };
+}
+
+// products/update: refresh the catalog entries of the product's variants
+function handleProductUpdated(product) {
+  const changed = updateCatalogFromProduct(product);
+  
+  if (changed.length === 0) {
+    return { status: DELIVERY_STATUS.SKIPPED, message: 'No mapped SKUs' };
+  }
+  
+  log('info', `Catalog updated from product ${product.id}: ${changed.join(', ')}`);
+  return { status: DELIVERY_STATUS.RECORDED, message: 'Catalog updated' };
+}
+
+// app/uninstalled: stop serving the shop. A shop that only existed
+// through the app install loses its data, delivery ledger included, so
+// the delivery is not updated.
+function handleAppUninstalled() {
+  const { domain, mappingsFile } = currentShop();
+  const { purged } = uninstallShop(domain);
+  
+  if (!purged) {
+    return { status: DELIVERY_STATUS.RECORDED, message: 'Uninstall recorded - configured shop kept' };
+  }
+  
+  unwatchMappings(mappingsFile);
+  clearSubscriptionStatus(domain);
+  const removedJobs = removeShopJobs(domain);
+  log('info', `App uninstalled - shop data purged and ${removedJobs} queued jobs removed`);
+  return { status: null, message: 'Shop data purged' };
+}
+
+// Check the current shop's webhook subscriptions, fixing them unless
+// dryRun. Problems are alerted on, never thrown.
+async function checkWebhookSubscriptions({ dryRun }) {
+  const { domain } = currentShop();
+  
+  try {
+    await syncSubscriptions({ dryRun });
   } catch (error) {
-    log('error', `Webhook processing failed: ${error.message}`, error);
-    res.status(500).send('Internal server error');
+    log('error', `Webhook subscription check failed: ${error.message}`);
   }
+  
+  const { missing, error } = getSubscriptionStatus()[domain];
+  if (missing.length > 0) {
+    await raiseAlert(
+      'webhook-subscriptions-missing',
+      `${domain} is not subscribed to ${missing.join(', ')} at ${APP_URL}`,
+      { shop: domain, missing, error }
+    );
+  }
+}
+
+// Runs after a shop installs the app: load its mappings and subscribe it
+// to the webhooks. A failed subscription does not fail the install, since
+// the token is already stored.
+async function handleAppInstalled(shop) {
+  unwatchMappings(shop.mappingsFile);
+  loadMappings(shop.mappingsFile);
+  watchMappings(shop.mappingsFile);
+  
+  await checkWebhookSubscriptions({ dryRun: false });
+}
+
+// Liveness: answers while the process is up
+app.get(['/health', '/health/live'], (req, res) => {
+  res.json({ ...liveness(), service: 'shopify-order-splitter' });
+});
+
+// Readiness: 503 when orders cannot be split (?refresh=true skips the cache)
+const checkReadiness = createReadinessCheck({ webhookStrict: WEBHOOK_AUTH.strict });
+
+app.get('/health/ready', async (req, res) => {
+  const report = await checkReadiness({ refresh: req.query.refresh === 'true' });
+  res.status(report.status === 'ready' ? 200 : 503).json(report);
 });
 
+// Prometheus metrics. Open unless METRICS_TOKEN is set, in which case
+// scrapers must send it as a bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).send('Unauthorized');
+  }
+  
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Configuration endpoint (?shop= selects the shop when several are configured)
+app.get('/config', scopeToShop, (req, res) => {
+  const shop = currentShop();
+  res.json({
+    store: shop.domain,
+    apiVersion: shop.apiVersion,
+    skuMappings: Object.keys(getMappings()),
+    mappingVersion: getMappingInfo(),
+    webhookConfigured: shop.webhookSecrets.length > 0,
+    webhookStrict: WEBHOOK_AUTH.strict,
+    apiConfigured: !!shop.accessToken
+  });
+});
+
+app.use('/webhooks', createWebhookRouter({
+  auth: WEBHOOK_AUTH,
+  handlers: {
+    'orders/create': { orderId: order => order.id, handle: handleOrderCreated },
+    'orders/updated': { orderId: order => order.id, handle: handleOrderUpdated },
+    'orders/edited': { orderId: payload => payload.order_edit.order_id, handle: handleOrderEdited },
+    'orders/cancelled': { orderId: order => order.id, handle: handleOrderCancelled },
+    'refunds/create': { orderId: refund => refund.order_id, handle: handleRefundCreated },
+    'products/update': { orderId: () => null, handle: handleProductUpdated },
+    'app/uninstalled': { orderId: () => null, handle: handleAppUninstalled }
+  }
+}));
+
+// OAuth install flow for running as a Shopify app
+app.use('/auth', createOAuthRouter({ onInstalled: handleAppInstalled }));
+
+// Admin API for managing bundle mappings
+app.use('/admin', createAdminRouter({
+  revertOrder,
+  backfill: createBackfill({ splitOrder, splitTag: SPLIT_TAG })
+}));
+
 // Test endpoint for manual order processing
-app.post('/test/process-order/:orderId', async (req, res) => {
+app.post('/test/process-order/:orderId', requireAdmin, scopeToShop, async (req, res) => {
+  let delivery = null;
+  
   try {
     const orderId = req.params.orderId;
     log('info', `Manual processing requested for order: ${orderId}`);
     
+    if (isOrderSplit(orderId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was already split'
+      });
+    }
+    
+    delivery = recordDelivery({ orderId, source: 'manual' });
+    
     // Fetch order from Shopify
-    const orderData = await shopifyAPI(`orders/${orderId}.json`);
+    const orderData = await shopify().request(`orders/${orderId}.json`);
     const order = orderData.order;
     
-    // Process the order
-    const { newLineItems, hasChanges } = splitLineItems(order.line_items);
+    if (hasOrderTag(order, SPLIT_TAG)) {
+      updateDelivery(delivery.key, DELIVERY_STATUS.SKIPPED, 'Order already split');
+      return res.status(409).json({
+        success: false,
+        message: 'Order was already split'
+      });
+    }
+    
+    // Process the order, leaving out lines with nothing left to fulfill
+    // (bundle lines an earlier split set to 0 are still in the payload)
+    const { newLineItems, hasChanges, unavailable } = await splitOrder({
+      ...order,
+      line_items: order.line_items.filter(item => item.fulfillable_quantity > 0)
+    }, { actor: 'manual', deliveryKey: delivery.key });
     
     if (!hasChanges) {
+      updateDelivery(delivery.key, DELIVERY_STATUS.SKIPPED, 'No bundle SKUs');
       return res.json({
         success: true,
         message: 'No bundle SKUs found to split',
@@ -239,18 +1043,19 @@ app.post('/test/process-order/:orderId', async (req, res) => {
       });
     }
     
-    // Update the order
-    await updateOrder(orderId, newLineItems);
-    
     res.json({
       success: true,
       message: 'Order processed successfully',
       originalItems: order.line_items.length,
-      newItems: newLineItems.length
+      newItems: newLineItems.length,
+      unavailable
     });
     
   } catch (error) {
     log('error', `Manual processing failed: ${error.message}`);
+    if (delivery) {
+      updateDelivery(delivery.key, DELIVERY_STATUS.FAILED, error.message);
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -260,27 +1065,99 @@ app.post('/test/process-order/:orderId', async (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  log('error', `Unhandled error: ${error.message}`, error);
+  log('error', `Unhandled error: ${error.message}`, { error, method: req.method, path: req.path });
   res.status(500).json({
     error: 'Internal server error',
     message: error.message
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
+// Start the worker and the periodic checks once the server listens
+function onListening() {
+  startWorker();
   log('info', `Shopify Order Splitter service started on port ${PORT}`);
-  log('info', `Store: ${SHOPIFY_STORE}`);
-  log('info', `Bundle SKUs configured: ${Object.keys(skuMappings).join(', ')}`);
   
-  if (!ADMIN_API_ACCESS_TOKEN) {
-    log('warn', 'SHOPIFY_ACCESS_TOKEN not configured!');
+  for (const shop of listShops()) {
+    runWithShop(shop, () => {
+      interruptRuns();
+      log('info', `Store: ${shop.domain} (API version ${shop.apiVersion})`);
+      log('info', `Bundle SKUs configured: ${Object.keys(getMappings()).join(', ')}`);
+      
+      if (!shop.accessToken) {
+        log('warn', 'Shopify access token not configured!');
+      }
+      
+      if (shop.webhookSecrets.length === 0) {
+        log('warn', WEBHOOK_AUTH.strict
+          ? 'Webhook secret not configured - strict mode will reject every webhook!'
+          : 'Webhook secret not configured - webhooks will not be verified!');
+      }
+    });
+  }
+  
+  if (!WEBHOOK_AUTH.strict) {
+    log('warn', 'WEBHOOK_STRICT not enabled - unsigned webhooks are accepted');
   }
   
-  if (!WEBHOOK_SECRET) {
-    log('warn', 'WEBHOOK_SECRET not configured - webhooks will not be verified!');
+  if (!process.env.ADMIN_TOKEN) {
+    log('warn', 'ADMIN_TOKEN not configured - admin and manual processing routes are disabled');
   }
-});
+  
+  // Retry failed hold releases, apply the hold timeout and look for
+  // orders left unsplit every minute
+  setInterval(async () => {
+    for (const shop of listShops()) {
+      try {
+        await runWithShop(shop, () => checkHolds());
+      } catch (error) {
+        log('error', `Hold check for ${shop.domain} failed: ${error.message}`);
+      }
+      
+      try {
+        await runWithShop(shop, () => checkUnsplitOrders());
+      } catch (error) {
+        log('error', `Unsplit order check for ${shop.domain} failed: ${error.message}`);
+      }
+    }
+  }, 60 * 1000).unref();
+  
+  // Refresh the component catalogs, one shop after another
+  (async () => {
+    for (const shop of listShops().filter(shop => shop.accessToken)) {
+      try {
+        await runWithShop(shop, () => syncCatalog());
+      } catch (error) {
+        log('error', `Catalog sync for ${shop.domain} failed: ${error.message}`);
+      }
+    }
+  })();
+  
+  if (!APP_URL) {
+    log('warn', 'APP_URL not configured - webhook subscriptions are not checked');
+    return;
+  }
+  
+  // Shops are checked one after another to stay within API rate limits
+  const checkAllShops = async dryRun => {
+    for (const shop of listShops().filter(shop => shop.accessToken)) {
+      try {
+        await runWithShop(shop, () => checkWebhookSubscriptions({ dryRun }));
+      } catch (error) {
+        log('error', `Webhook subscription check for ${shop.domain} failed: ${error.message}`);
+      }
+    }
+  };
+  
+  checkAllShops(!WEBHOOK_SYNC);
+  setInterval(() => checkAllShops(true), WEBHOOK_CHECK_INTERVAL_MS).unref();
+}
+
+// Start the server, unless the app was imported (e.g. by the test suite)
+if (path.resolve(process.argv[1] || '') === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, onListening);
+}
+
+export default app;
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,381 @@
+/**
+ * Admin API
+ * =========
+ *
+ * Token-protected routes for managing bundle mappings at runtime and
+ * previewing how an order would be split.
+ *
+ * Every request must send the ADMIN_TOKEN, either as
+ * `Authorization: Bearer <token>` or as an `X-Admin-Token` header.
+ * When ADMIN_TOKEN is not set the admin routes refuse all requests.
+ *
+ * Every route acts on one shop, named by `?shop=` or an `X-Shop-Domain`
+ * header; either may be left out when only one shop is configured.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { getMappings, getMappingInfo, normalizeMapping, saveMappings } from './mappings.js';
+import { splitLineItems } from './splitter.js';
+import { listDeliveries } from './ledger.js';
+import { JOB_STATUS, getJob, listJobs, replayJob } from './queue.js';
+import { findActiveSplits, listAuditRecords } from './audit.js';
+import { getRun, listRuns } from './backfill.js';
+import { syncSubscriptions } from './subscriptions.js';
+import { listHolds, releaseOrder } from './holds.js';
+import { clearCaptures, getCapture, listCaptures } from './captures.js';
+import { cachedVariants, getCatalog, syncCatalog } from './catalog.js';
+import { scopeToShop } from './shops.js';
+import { currentShop } from './context.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Extract the admin token from the request headers
+function getRequestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-Admin-Token') || '';
+}
+
+// Middleware that rejects requests without a valid admin token
+export function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    log('warn', `Admin request to ${req.path} refused - ADMIN_TOKEN not configured`);
+    return res.status(503).json({ success: false, error: 'Admin API disabled: ADMIN_TOKEN not configured' });
+  }
+
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const provided = Buffer.from(getRequestToken(req));
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    log('warn', `Unauthorized admin request to ${req.path}`);
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Persist a changed mapping set, answering 400 on validation errors
+function applyMappings(res, mappings, status = 200) {
+  try {
+    saveMappings(mappings);
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, errors: error.validationErrors });
+    }
+    throw error;
+  }
+
+  res.status(status).json({ success: true, mappingVersion: getMappingInfo(), mappings: getMappings() });
+}
+
+// Mapping value from a request body: a plain component list, or the
+// object form when an allocation strategy or rules are given
+function mappingFromBody(body) {
+  const { components, allocation, rules } = body || {};
+  if (allocation === undefined && rules === undefined) {
+    return components;
+  }
+  return { allocation, components, rules };
+}
+
+// Build the /admin router. revertOrder(orderId, { actor }) undoes a split
+// and backfill is the runner from createBackfill(); both are passed in
+// because they drive Shopify order edits.
+export function createAdminRouter({ revertOrder, backfill }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+  router.use(scopeToShop);
+
+  // List all mappings
+  router.get('/mappings', (req, res) => {
+    res.json({ mappingVersion: getMappingInfo(), mappings: getMappings() });
+  });
+
+  // Get one mapping
+  router.get('/mappings/:sku', (req, res) => {
+    const mapping = getMappings()[req.params.sku];
+    if (!mapping) {
+      return res.status(404).json({ success: false, error: `No mapping for ${req.params.sku}` });
+    }
+    res.json({ sku: req.params.sku, ...normalizeMapping(mapping) });
+  });
+
+  // Create a mapping
+  router.post('/mappings', (req, res) => {
+    const { sku } = req.body || {};
+    if (typeof sku !== 'string' || !sku.trim()) {
+      return res.status(400).json({ success: false, errors: ['"sku" must be a non-empty string'] });
+    }
+    if (getMappings()[sku]) {
+      return res.status(409).json({ success: false, error: `Mapping for ${sku} already exists` });
+    }
+
+    log('info', `Admin: creating mapping for ${sku}`);
+    applyMappings(res, { ...getMappings(), [sku]: mappingFromBody(req.body) }, 201);
+  });
+
+  // Replace a mapping's components
+  router.put('/mappings/:sku', (req, res) => {
+    const sku = req.params.sku;
+    if (!getMappings()[sku]) {
+      return res.status(404).json({ success: false, error: `No mapping for ${sku}` });
+    }
+
+    log('info', `Admin: updating mapping for ${sku}`);
+    applyMappings(res, { ...getMappings(), [sku]: mappingFromBody(req.body) });
+  });
+
+  // Delete a mapping
+  router.delete('/mappings/:sku', (req, res) => {
+    const sku = req.params.sku;
+    if (!getMappings()[sku]) {
+      return res.status(404).json({ success: false, error: `No mapping for ${sku}` });
+    }
+
+    log('info', `Admin: deleting mapping for ${sku}`);
+    const { [sku]: removed, ...remaining } = getMappings();
+    applyMappings(res, remaining);
+  });
+
+  // Preview the split for a sample order without touching Shopify.
+  // Accepts either a bare order or Shopify's { order: {...} } envelope,
+  // plus optional catalogPrices for "catalog" allocation and availability
+  // (SKU -> units) to preview substitutions. Variant IDs and weights come
+  // from the cached catalog.
+  router.post('/dry-run', (req, res) => {
+    const body = req.body || {};
+    const order = body.order || body;
+
+    if (!Array.isArray(order.line_items)) {
+      return res.status(400).json({ success: false, errors: ['Order must include a "line_items" array'] });
+    }
+
+    const { newLineItems, hasChanges, unavailable } = splitLineItems(order.line_items, getMappings(), {
+      catalogPrices: body.catalogPrices || {},
+      availability: body.availability || null,
+      variants: cachedVariants(),
+      shippingCountry: (order.shipping_address && order.shipping_address.country_code) || null
+    });
+    res.json({
+      success: true,
+      mappingVersion: getMappingInfo().version,
+      hasChanges,
+      unavailable,
+      originalLineItems: order.line_items,
+      newLineItems
+    });
+  });
+
+  // Query the webhook delivery ledger
+  router.get('/ledger', (req, res) => {
+    const { orderId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ deliveries: listDeliveries({ orderId, status, limit }) });
+  });
+
+  // Query the split audit trail
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ records: listAuditRecords({ orderId: req.query.orderId, limit }) });
+  });
+
+  // Revert one order to its pre-split line items
+  router.post('/orders/:orderId/revert', async (req, res) => {
+    try {
+      const result = await revertOrder(req.params.orderId, { actor: 'manual' });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      log('error', `Revert of order ${req.params.orderId} failed: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Revert every split still in place that matches a bundle SKU, mapping
+  // version and/or date range. dryRun lists the orders without touching them.
+  router.post('/revert', async (req, res) => {
+    const { bundleSku, mappingVersion, from, to, dryRun = false } = req.body || {};
+
+    if (!bundleSku && mappingVersion === undefined && !from && !to) {
+      return res.status(400).json({
+        success: false,
+        errors: ['Give at least one of "bundleSku", "mappingVersion", "from" or "to"']
+      });
+    }
+
+    const splits = findActiveSplits({ bundleSku, mappingVersion, from, to });
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, orders: splits.map(split => split.orderId) });
+    }
+
+    const results = [];
+    for (const split of splits) {
+      try {
+        await revertOrder(split.orderId, { actor: 'manual' });
+        results.push({ orderId: split.orderId, status: 'reverted' });
+      } catch (error) {
+        log('error', `Revert of order ${split.orderId} failed: ${error.message}`);
+        results.push({ orderId: split.orderId, status: 'failed', error: error.message });
+      }
+    }
+
+    res.json({
+      success: results.every(result => result.status === 'reverted'),
+      reverted: results.filter(result => result.status === 'reverted').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      results
+    });
+  });
+
+  // List queued jobs
+  router.get('/jobs', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ jobs: listJobs({ status: req.query.status, shop: currentShop().domain, limit }) });
+  });
+
+  // Replay every dead-lettered job
+  router.post('/jobs/replay-dead', (req, res) => {
+    const replayed = listJobs({ status: JOB_STATUS.DEAD, shop: currentShop().domain, limit: Infinity })
+      .map(job => replayJob(job.id));
+    res.json({ success: true, replayed: replayed.length, jobs: replayed });
+  });
+
+  // Replay one dead-lettered job
+  router.post('/jobs/:id/replay', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || (job.shop && job.shop !== currentShop().domain)) {
+      return res.status(404).json({ success: false, error: `No job ${req.params.id}` });
+    }
+
+    try {
+      res.json({ success: true, job: replayJob(req.params.id) });
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
+  // Backfill: a dry-run report by default, or start a run with
+  // "dryRun": false. Filters: from, to, fulfillmentStatus, tag.
+  router.post('/backfill', async (req, res) => {
+    const { dryRun = true, ...filters } = req.body || {};
+
+    try {
+      if (dryRun) {
+        return res.json({ success: true, dryRun: true, report: await backfill.plan(filters) });
+      }
+      res.status(202).json({ success: true, run: backfill.start(filters) });
+    } catch (error) {
+      if (error.validationErrors) {
+        return res.status(400).json({ success: false, errors: error.validationErrors });
+      }
+      log('error', `Backfill request failed: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List backfill runs
+  router.get('/backfill', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 1000);
+    res.json({ runs: listRuns({ limit }) });
+  });
+
+  // Progress and per-order results of one run
+  router.get('/backfill/:id', (req, res) => {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: `No backfill run ${req.params.id}` });
+    }
+    res.json({ run });
+  });
+
+  // Resume an interrupted or failed run
+  router.post('/backfill/:id/resume', (req, res) => {
+    try {
+      res.status(202).json({ success: true, run: backfill.resume(req.params.id) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List fulfillment holds (?status=held|failed|released)
+  router.get('/holds', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ holds: listHolds({ status: req.query.status, limit }) });
+  });
+
+  // Release the service's hold on an order, e.g. after handling a failed
+  // split by hand
+  router.post('/holds/:orderId/release', async (req, res) => {
+    try {
+      const hold = await releaseOrder(req.params.orderId, 'Released by admin');
+      if (!hold) {
+        return res.status(404).json({ success: false, error: `Order ${req.params.orderId} is not on hold` });
+      }
+      res.json({ success: true, hold });
+    } catch (error) {
+      log('error', `Releasing hold on order ${req.params.orderId} failed: ${error.message}`);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List captured webhook deliveries (WEBHOOK_CAPTURE=true), without payloads
+  router.get('/captures', (req, res) => {
+    const { topic, orderId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ captures: listCaptures({ topic, orderId, limit }) });
+  });
+
+  // One capture with its redacted payload, as replay.js reads it
+  router.get('/captures/:id', (req, res) => {
+    const capture = getCapture(req.params.id);
+    if (!capture) {
+      return res.status(404).json({ success: false, error: `Capture ${req.params.id} not found` });
+    }
+    res.json({ success: true, capture });
+  });
+
+  router.delete('/captures', (req, res) => {
+    res.json({ success: true, deleted: clearCaptures() });
+  });
+
+  // Cached variant of each mapped SKU
+  router.get('/catalog', (req, res) => {
+    res.json({ success: true, ...getCatalog() });
+  });
+
+  // Refresh the catalog from Shopify
+  router.post('/catalog/sync', async (req, res) => {
+    try {
+      res.json({ success: true, ...await syncCatalog() });
+    } catch (error) {
+      log('error', `Catalog sync failed: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Compare the shop's webhook subscriptions with the topics handled here
+  router.get('/webhooks', async (req, res) => {
+    try {
+      res.json({ success: true, ...await syncSubscriptions({ dryRun: true }) });
+    } catch (error) {
+      log('error', `Webhook subscription check failed: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Create missing subscriptions and fix wrong addresses or API versions
+  router.post('/webhooks/sync', async (req, res) => {
+    try {
+      const result = await syncSubscriptions();
+      res.json({ success: result.results.every(step => !step.error), ...result });
+    } catch (error) {
+      log('error', `Webhook subscription sync failed: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
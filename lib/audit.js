@@ -0,0 +1,116 @@
+/**
+ * Split Audit Trail
+ * =================
+ *
+ * Persistent record of every split: the order's original line items, the
+ * line items it was split into, the mapping version used and who asked
+ * for it (webhook or manual). A revert is recorded on the split it undid,
+ * which is what stops the same split being reverted twice. Later events
+ * on a split order, such as a cancellation or refund, are appended to its
+ * latest split as outcomes.
+ */
+
+import crypto from 'crypto';
+import { createStore } from './storage.js';
+
+const store = createStore('audit', { records: {} });
+
+// Record a completed split
+export function recordSplit({ orderId, orderName = null, actor, mappingVersion, originalLineItems, resultingLineItems }) {
+  const record = {
+    id: crypto.randomUUID(),
+    orderId: String(orderId),
+    orderName,
+    actor,
+    mappingVersion,
+    originalLineItems,
+    resultingLineItems,
+    createdAt: new Date().toISOString(),
+    revert: null,
+    outcomes: []
+  };
+
+  store.update(data => {
+    data.records[record.id] = record;
+  });
+
+  return record;
+}
+
+// Audit records, newest first, optionally for one order
+export function listAuditRecords({ orderId, limit = 100 } = {}) {
+  return Object.values(store.read().records)
+    .filter(record => !orderId || record.orderId === String(orderId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+// Most recent split of an order
+export function getLatestSplit(orderId) {
+  return listAuditRecords({ orderId, limit: 1 })[0] || null;
+}
+
+// Splits of an order that were not reverted, newest first
+export function activeSplits(orderId) {
+  return listAuditRecords({ orderId, limit: Infinity }).filter(record => !record.revert);
+}
+
+// Record that a split was reverted
+export function markReverted(id, { actor }) {
+  return store.update(data => {
+    const record = data.records[id];
+    if (!record) {
+      throw new Error(`Unknown audit record ${id}`);
+    }
+    record.revert = { actor, revertedAt: new Date().toISOString() };
+    return record;
+  });
+}
+
+// IDs of every bundle line already split on an order
+export function splitBundleLineItemIds(orderId) {
+  return new Set(listAuditRecords({ orderId, limit: Infinity }).flatMap(record =>
+    record.resultingLineItems
+      .filter(item => item.bundle_line_item_id)
+      .map(item => String(item.bundle_line_item_id))
+  ));
+}
+
+// Append an outcome (cancellation, refund, ...) to an order's latest split.
+// Returns the updated record, or null when the order was never split.
+export function recordOutcome(orderId, outcome) {
+  const latest = getLatestSplit(orderId);
+  if (!latest) {
+    return null;
+  }
+
+  return store.update(data => {
+    const record = data.records[latest.id];
+    record.outcomes = record.outcomes || [];
+    record.outcomes.push({ ...outcome, recordedAt: new Date().toISOString() });
+    return record;
+  });
+}
+
+// Latest split per order that is still in place, filtered by a bundle SKU
+// it split, the mapping version it used and/or when it happened
+export function findActiveSplits({ bundleSku, mappingVersion, from, to } = {}) {
+  const latest = new Map();
+  for (const record of Object.values(store.read().records)) {
+    const current = latest.get(record.orderId);
+    if (!current || record.createdAt > current.createdAt) {
+      latest.set(record.orderId, record);
+    }
+  }
+
+  return [...latest.values()]
+    .filter(record => !record.revert)
+    .filter(record => !bundleSku || record.resultingLineItems.some(item =>
+      item.bundle_line_item_id &&
+      record.originalLineItems.some(original => String(original.id) === String(item.bundle_line_item_id) && original.sku === bundleSku)
+    ))
+    .filter(record => mappingVersion === undefined || record.mappingVersion === mappingVersion)
+    .filter(record => !from || record.createdAt >= from)
+    .filter(record => !to || record.createdAt <= to)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
@@ -0,0 +1,332 @@
+/**
+ * Backfill
+ * ========
+ *
+ * Splits historical orders in bulk, for when the service was down or a
+ * new mapping was added after orders came in.
+ *
+ * Orders are paged from the REST API by ID (since_id), filtered by date
+ * range, fulfillment status and tag. Orders that are cancelled, fulfilled,
+ * already split (in the ledger or by their split tag) or have no bundle
+ * SKU left to fulfill are skipped. A dry run only reports
+ * what would be split; a real run processes candidates BACKFILL_CONCURRENCY
+ * at a time and saves its cursor after every page, so an interrupted run
+ * can be resumed where it stopped. Each shop runs at most one backfill at
+ * a time, against its own orders.
+ *
+ * Run status lifecycle: running -> done | failed | interrupted
+ *                       interrupted | failed -> running (resume)
+ */
+
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { createStore } from './storage.js';
+import { getMappings } from './mappings.js';
+import { DELIVERY_STATUS, isOrderSplit, recordDelivery, updateDelivery } from './ledger.js';
+import { currentShop } from './context.js';
+
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+const CONCURRENCY = parseInt(process.env.BACKFILL_CONCURRENCY, 10) || 2;
+const PAGE_SIZE = 250;
+const FULFILLMENT_STATUSES = ['any', 'unfulfilled', 'unshipped', 'partial', 'shipped'];
+
+const store = createStore('backfill', { runs: {} });
+
+// Check and normalize backfill filters, throwing on bad input
+export function normalizeFilters({ from = null, to = null, fulfillmentStatus = 'unfulfilled', tag = null } = {}) {
+  const errors = [];
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== null && Number.isNaN(Date.parse(value))) {
+      errors.push(`"${name}" must be a date`);
+    }
+  }
+  if (!FULFILLMENT_STATUSES.includes(fulfillmentStatus)) {
+    errors.push(`"fulfillmentStatus" must be one of: ${FULFILLMENT_STATUSES.join(', ')}`);
+  }
+  if (tag !== null && (typeof tag !== 'string' || !tag.trim())) {
+    errors.push('"tag" must be a non-empty string');
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid backfill filters: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return { from, to, fulfillmentStatus, tag: tag && tag.trim() };
+}
+
+// REST query for one page of orders after sinceId
+function ordersQuery(filters, sinceId) {
+  const params = new URLSearchParams({
+    status: 'any',
+    limit: String(PAGE_SIZE),
+    since_id: String(sinceId || 0),
+    fulfillment_status: filters.fulfillmentStatus
+  });
+  if (filters.from) {
+    params.set('created_at_min', new Date(filters.from).toISOString());
+  }
+  if (filters.to) {
+    params.set('created_at_max', new Date(filters.to).toISOString());
+  }
+  return `orders.json?${params}`;
+}
+
+function hasTag(order, tag) {
+  return (order.tags || '').split(',').map(value => value.trim()).includes(tag);
+}
+
+// Lines with something left to fulfill. Bundle lines an earlier split
+// set to 0 stay on the order and must not be split again.
+function openLineItems(order) {
+  return order.line_items.filter(item => item.fulfillable_quantity > 0);
+}
+
+// Bundle SKUs in an order that the current mappings would split
+function bundleSkus(order, mappings) {
+  return [...new Set(openLineItems(order)
+    .filter(item => item.sku && mappings[item.sku])
+    .map(item => item.sku))];
+}
+
+// Why an order should not be split, or null when it should
+function skipReason(order, filters, mappings, splitTag) {
+  if (filters.tag && !hasTag(order, filters.tag)) {
+    return 'Missing tag';
+  }
+  if (order.cancelled_at) {
+    return 'Order cancelled';
+  }
+  if (order.fulfillment_status === 'fulfilled') {
+    return 'Order fulfilled';
+  }
+  if (isOrderSplit(order.id) || hasTag(order, splitTag)) {
+    return 'Order already split';
+  }
+  if (bundleSkus(order, mappings).length === 0) {
+    return 'No bundle SKUs';
+  }
+  return null;
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function forEachLimited(items, limit, fn) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+function saveRun(run) {
+  run.updatedAt = new Date().toISOString();
+  store.update(data => {
+    data.runs[run.id] = run;
+  });
+}
+
+// Create the backfill runner. splitOrder(order, { actor, deliveryKey }) is
+// the same split the webhook worker performs; it marks the delivery split.
+// splitTag is the tag it leaves on split orders.
+export function createBackfill({ splitOrder, splitTag }) {
+  // Shop domain -> ID of its running backfill
+  const activeRuns = new Map();
+
+  // Page through every order matching the filters
+  async function* orderPages(filters, sinceId) {
+    for (let cursor = sinceId; ;) {
+      const { orders = [] } = await currentShop().shopify.request(ordersQuery(filters, cursor));
+      if (orders.length === 0) {
+        return;
+      }
+      cursor = orders[orders.length - 1].id;
+      yield { orders, cursor };
+      if (orders.length < PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  // Dry run: report the orders a backfill would split, without touching them
+  async function plan(filterInput) {
+    const filters = normalizeFilters(filterInput);
+    const mappings = getMappings();
+    const report = { filters, scanned: 0, skipped: {}, bundleSkus: {}, orders: [] };
+
+    for await (const { orders } of orderPages(filters, 0)) {
+      for (const order of orders) {
+        report.scanned++;
+        const reason = skipReason(order, filters, mappings, splitTag);
+        if (reason) {
+          report.skipped[reason] = (report.skipped[reason] || 0) + 1;
+          continue;
+        }
+
+        const skus = bundleSkus(order, mappings);
+        for (const sku of skus) {
+          report.bundleSkus[sku] = (report.bundleSkus[sku] || 0) + 1;
+        }
+        report.orders.push({ orderId: String(order.id), orderName: order.name, createdAt: order.created_at, bundleSkus: skus });
+      }
+    }
+
+    return report;
+  }
+
+  // Split one candidate order, recording it in the ledger like a manual run
+  async function processOrder(run, order) {
+    const delivery = recordDelivery({ orderId: order.id, source: 'backfill' });
+    const result = { orderId: String(order.id), orderName: order.name, status: null, error: null };
+
+    try {
+      const { hasChanges } = await splitOrder(
+        { ...order, line_items: openLineItems(order) },
+        { actor: 'backfill', deliveryKey: delivery.key }
+      );
+      result.status = hasChanges ? DELIVERY_STATUS.SPLIT : DELIVERY_STATUS.SKIPPED;
+      if (!hasChanges) {
+        updateDelivery(delivery.key, DELIVERY_STATUS.SKIPPED, 'No bundle SKUs');
+      }
+    } catch (error) {
+      log('error', `Backfill ${run.id} failed to split order ${order.id}: ${error.message}`);
+      result.status = DELIVERY_STATUS.FAILED;
+      result.error = error.message;
+      updateDelivery(delivery.key, DELIVERY_STATUS.FAILED, error.message);
+    }
+
+    run.counts[result.status]++;
+    run.results.push(result);
+  }
+
+  // Work through the pages of a run from its saved cursor
+  async function execute(run) {
+    const { domain } = currentShop();
+    activeRuns.set(domain, run.id);
+    log('info', `Backfill ${run.id} running from order ${run.cursor || 'start'}`);
+
+    try {
+      for await (const { orders, cursor } of orderPages(run.filters, run.cursor)) {
+        const mappings = getMappings();
+        const candidates = [];
+
+        for (const order of orders) {
+          run.counts.scanned++;
+          const reason = skipReason(order, run.filters, mappings, splitTag);
+          if (reason) {
+            run.counts.skipped++;
+          } else {
+            candidates.push(order);
+          }
+        }
+
+        await forEachLimited(candidates, CONCURRENCY, order => processOrder(run, order));
+
+        run.cursor = cursor;
+        saveRun(run);
+      }
+
+      run.status = RUN_STATUS.DONE;
+      log('info', `Backfill ${run.id} finished`, run.counts);
+    } catch (error) {
+      log('error', `Backfill ${run.id} stopped: ${error.message}`);
+      run.status = RUN_STATUS.FAILED;
+      run.error = error.message;
+    } finally {
+      activeRuns.delete(domain);
+      saveRun(run);
+    }
+  }
+
+  // Nobody awaits a background run. execute() records its own failures,
+  // so this only logs what escapes it, such as a run that cannot be saved.
+  function runInBackground(run) {
+    execute(run).catch(error => log('error', `Backfill ${run.id} crashed: ${error.message}`));
+  }
+
+  function assertIdle() {
+    const activeRunId = activeRuns.get(currentShop().domain);
+    if (activeRunId) {
+      throw Object.assign(new Error(`Backfill ${activeRunId} is already running`), { status: 409 });
+    }
+  }
+
+  // Start a run in the background and return it straight away
+  function start(filterInput) {
+    const filters = normalizeFilters(filterInput);
+    assertIdle();
+
+    const now = new Date().toISOString();
+    const run = {
+      id: crypto.randomUUID(),
+      filters,
+      status: RUN_STATUS.RUNNING,
+      cursor: 0,
+      counts: { scanned: 0, skipped: 0, split: 0, failed: 0 },
+      results: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    saveRun(run);
+
+    runInBackground(run);
+    return run;
+  }
+
+  // Continue an interrupted or failed run from its saved cursor. Orders
+  // split before the interruption are skipped as already split.
+  function resume(id) {
+    const run = getRun(id);
+    if (!run) {
+      throw Object.assign(new Error(`No backfill run ${id}`), { status: 404 });
+    }
+    if (run.status !== RUN_STATUS.INTERRUPTED && run.status !== RUN_STATUS.FAILED) {
+      throw Object.assign(new Error(`Backfill ${id} is ${run.status}, not interrupted or failed`), { status: 409 });
+    }
+    assertIdle();
+
+    run.status = RUN_STATUS.RUNNING;
+    run.error = null;
+    saveRun(run);
+
+    runInBackground(run);
+    return run;
+  }
+
+  return { plan, start, resume };
+}
+
+// Look up a backfill run by ID
+export function getRun(id) {
+  return store.read().runs[id] || null;
+}
+
+// Backfill runs, newest first, without their per-order results
+export function listRuns({ limit = 20 } = {}) {
+  return Object.values(store.read().runs)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ results, ...run }) => ({ ...run, results: results.length }));
+}
+
+// Mark runs left running by a previous process as interrupted
+export function interruptRuns() {
+  store.update(data => {
+    for (const run of Object.values(data.runs)) {
+      if (run.status === RUN_STATUS.RUNNING) {
+        run.status = RUN_STATUS.INTERRUPTED;
+        run.updatedAt = new Date().toISOString();
+      }
+    }
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Webhook Captures
+ * ================
+ *
+ * Opt-in recorder of webhook deliveries, for reproducing a split that went
+ * wrong. With WEBHOOK_CAPTURE=true every delivery that passed signature
+ * verification is stored with its topic, Shopify headers and payload, so
+ * replay.js can send it to a local or staging instance later.
+ *
+ * Payloads are redacted before they are stored (see logger.js): customer
+ * names, emails, phone numbers, street addresses and credentials never
+ * reach the disk. The signature is dropped too; replays are re-signed
+ * with the target's secret. Line items, prices, discounts and the
+ * shipping country are kept, since the split depends on them.
+ *
+ * Each shop keeps its newest WEBHOOK_CAPTURE_LIMIT captures (default 100).
+ */
+
+import crypto from 'crypto';
+import { log, redact } from './logger.js';
+import { createStore } from './storage.js';
+import { currentShop } from './context.js';
+
+export const CAPTURE_ENABLED = process.env.WEBHOOK_CAPTURE === 'true';
+const CAPTURE_LIMIT = parseInt(process.env.WEBHOOK_CAPTURE_LIMIT, 10) || 100;
+
+// Shopify headers worth keeping with a capture
+const CAPTURED_HEADERS = [
+  'X-Shopify-Topic',
+  'X-Shopify-Shop-Domain',
+  'X-Shopify-Webhook-Id',
+  'X-Shopify-API-Version',
+  'X-Shopify-Triggered-At',
+  'X-Shopify-Event-Id'
+];
+
+const store = createStore('captures', { captures: {} });
+
+// Store a verified delivery when capturing is on. Never throws: a capture
+// must not fail the delivery it records.
+export function captureDelivery(req, { topic, orderId, payload }) {
+  const signed = !!req.get('X-Shopify-Hmac-Sha256') && currentShop().webhookSecrets.length > 0;
+  if (!CAPTURE_ENABLED || !signed) {
+    return null;
+  }
+
+  try {
+    const capture = {
+      id: crypto.randomUUID(),
+      capturedAt: new Date().toISOString(),
+      shop: currentShop().domain,
+      topic,
+      orderId: orderId == null ? null : String(orderId),
+      webhookId: req.get('X-Shopify-Webhook-Id') || null,
+      headers: Object.fromEntries(CAPTURED_HEADERS
+        .filter(name => req.get(name))
+        .map(name => [name, req.get(name)])),
+      payload: redact(payload)
+    };
+
+    store.update(data => {
+      data.captures[capture.id] = capture;
+
+      const oldest = Object.values(data.captures)
+        .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))
+        .slice(CAPTURE_LIMIT);
+      oldest.forEach(old => delete data.captures[old.id]);
+    });
+
+    log('debug', `Captured ${topic} delivery as ${capture.id}`);
+    return capture;
+  } catch (error) {
+    log('error', `Capturing ${topic} delivery failed: ${error.message}`);
+    return null;
+  }
+}
+
+export function getCapture(id) {
+  return store.read().captures[id] || null;
+}
+
+// Query captures without their payloads, newest first
+export function listCaptures({ topic, orderId, limit = 100 } = {}) {
+  return Object.values(store.read().captures)
+    .filter(capture => !topic || capture.topic === topic)
+    .filter(capture => !orderId || capture.orderId === String(orderId))
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))
+    .slice(0, limit)
+    .map(({ payload, ...summary }) => summary);
+}
+
+// Delete every capture of the current shop, returning how many there were
+export function clearCaptures() {
+  return store.update(data => {
+    const count = Object.keys(data.captures).length;
+    data.captures = {};
+    return count;
+  });
+}
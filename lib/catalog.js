@@ -0,0 +1,206 @@
+/**
+ * Component Catalog
+ * =================
+ *
+ * Local cache of the product variant behind each mapped SKU: its variant
+ * and product IDs, price, weight in grams and whether it requires
+ * shipping. Split lines take their variant IDs and weights from it, and
+ * order edits and "catalog" allocation their prices, so an order does not
+ * search Shopify for every component.
+ *
+ * Entries are kept per shop (catalog.json in its data directory). A SKU
+ * missing from the cache is looked up the first time it is needed;
+ * syncCatalog() refreshes every mapped SKU (at startup and through the
+ * admin API), and products/update webhooks keep entries current in
+ * between.
+ *
+ * Weights and the shipping flag come from the variant fields of the
+ * pinned API version (weight, weightUnit, requiresShipping).
+ *
+ * searchVariants() is the one SKU search against Shopify: inventory checks
+ * and the config CLI use it too, with the fields they need.
+ */
+
+import { log } from './logger.js';
+import { raiseAlert } from './alerts.js';
+import { createStore } from './storage.js';
+import { currentShop } from './context.js';
+import { getMappings } from './mappings.js';
+import { inventorySkus } from './splitter.js';
+
+// SKUs per productVariants search
+const BATCH_SIZE = 50;
+
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237
+};
+
+// Weight units of REST payloads, as GraphQL WeightUnit values
+const REST_WEIGHT_UNITS = { g: 'GRAMS', kg: 'KILOGRAMS', oz: 'OUNCES', lb: 'POUNDS' };
+
+const store = createStore('catalog', { syncedAt: null, variants: {} });
+
+function toGrams(weight, unit) {
+  return Math.round((parseFloat(weight) || 0) * (GRAMS_PER_UNIT[unit] || 1));
+}
+
+// Every component and substitute SKU the bundles of a mapping set can
+// split into
+export function componentSkus(mappings = getMappings()) {
+  return inventorySkus(Object.keys(mappings).map(sku => ({ sku })), mappings);
+}
+
+// Bundle SKUs and every component and substitute SKU they can split into
+export function mappedSkus(mappings = getMappings()) {
+  return [...new Set([...Object.keys(mappings), ...componentSkus(mappings)])];
+}
+
+// Search Shopify for the variants with these SKUs, returning their nodes
+// with `sku` plus the GraphQL selection in `fields`. The search is fuzzy,
+// so only exact SKU matches are kept; several variants can share a SKU.
+// Takes the API client so callers outside a shop context can use it.
+export async function searchVariants(shopify, skus, fields = '') {
+  const matches = [];
+
+  for (let i = 0; i < skus.length; i += BATCH_SIZE) {
+    const batch = skus.slice(i, i + BATCH_SIZE);
+    const data = await shopify.graphql(`
+      query VariantsBySku($query: String!, $first: Int!) {
+        productVariants(first: $first, query: $query) {
+          nodes { sku ${fields} }
+        }
+      }
+    `, {
+      query: batch.map(sku => `sku:${JSON.stringify(sku)}`).join(' OR '),
+      first: Math.min(250, batch.length * 5)
+    });
+
+    matches.push(...data.productVariants.nodes.filter(variant => batch.includes(variant.sku)));
+  }
+
+  return matches;
+}
+
+// Look SKUs up in the current shop, returning { [sku]: entry } for those
+// found. When several variants share a SKU the first one wins.
+async function fetchVariants(skus) {
+  const variants = await searchVariants(currentShop().shopify, skus,
+    'id price weight weightUnit requiresShipping product { id }');
+  const found = {};
+
+  for (const variant of variants) {
+    if (!found[variant.sku]) {
+      found[variant.sku] = {
+        sku: variant.sku,
+        variantId: variant.id,
+        productId: variant.product.id,
+        price: variant.price,
+        grams: toGrams(variant.weight, variant.weightUnit),
+        requiresShipping: variant.requiresShipping !== false,
+        updatedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  return found;
+}
+
+// Cached entries, without asking Shopify for missing ones
+export function cachedVariants() {
+  return store.read().variants;
+}
+
+// Entries for these SKUs, looking up the ones not cached yet. SKUs with
+// no product variant are left out.
+export async function findVariants(skus) {
+  const cached = cachedVariants();
+  const missing = [...new Set(skus)].filter(sku => !cached[sku]);
+
+  if (missing.length > 0) {
+    const found = await fetchVariants(missing);
+    if (Object.keys(found).length > 0) {
+      store.update(data => Object.assign(data.variants, found));
+      log('debug', `Catalog cached ${Object.keys(found).join(', ')}`);
+    }
+  }
+
+  const variants = cachedVariants();
+  return Object.fromEntries(skus.filter(sku => variants[sku]).map(sku => [sku, variants[sku]]));
+}
+
+// The entry for one SKU; throws when no product variant has it
+export async function resolveVariant(sku) {
+  const variant = (await findVariants([sku]))[sku];
+  if (!variant) {
+    const message = `No product variant found for component SKU ${sku}`;
+    await raiseAlert('component-unresolved', message, { sku });
+    throw new Error(message);
+  }
+  return variant;
+}
+
+// Refresh every mapped SKU from Shopify. Entries for SKUs that are no
+// longer mapped, or no longer exist, are dropped.
+export async function syncCatalog() {
+  const skus = mappedSkus();
+  const found = await fetchVariants(skus);
+  const missing = skus.filter(sku => !found[sku]);
+
+  store.update(data => {
+    data.syncedAt = new Date().toISOString();
+    data.variants = found;
+  });
+
+  if (missing.length > 0) {
+    await raiseAlert('component-unresolved', `No product variant found for mapped SKUs ${missing.join(', ')}`, { skus: missing });
+  }
+  log('info', `Catalog synced: ${Object.keys(found).length} of ${skus.length} mapped SKUs`);
+  return { synced: Object.keys(found).length, missing };
+}
+
+// Apply a products/update payload: refresh the entries of its variants
+// whose SKUs are cached or mapped, and drop entries of this product whose
+// SKU it no longer has. Returns the SKUs changed.
+export function updateCatalogFromProduct(product) {
+  const productId = product.admin_graphql_api_id || `gid://shopify/Product/${product.id}`;
+  const tracked = new Set([...Object.keys(cachedVariants()), ...mappedSkus()]);
+  const variants = (product.variants || []).filter(variant => variant.sku && tracked.has(variant.sku));
+  const skus = new Set(variants.map(variant => variant.sku));
+
+  return store.update(data => {
+    const changed = [];
+
+    for (const [sku, entry] of Object.entries(data.variants)) {
+      if (entry.productId === productId && !skus.has(sku)) {
+        delete data.variants[sku];
+        changed.push(sku);
+      }
+    }
+
+    for (const variant of variants) {
+      data.variants[variant.sku] = {
+        sku: variant.sku,
+        variantId: variant.admin_graphql_api_id || `gid://shopify/ProductVariant/${variant.id}`,
+        productId,
+        price: variant.price,
+        grams: typeof variant.grams === 'number'
+          ? variant.grams
+          : toGrams(variant.weight, REST_WEIGHT_UNITS[variant.weight_unit]),
+        requiresShipping: variant.requires_shipping !== false,
+        updatedAt: new Date().toISOString()
+      };
+      changed.push(variant.sku);
+    }
+
+    return changed;
+  });
+}
+
+// Cached entries and when they were last synced
+export function getCatalog() {
+  const { syncedAt, variants } = store.read();
+  return { syncedAt, variants: Object.values(variants).sort((a, b) => a.sku.localeCompare(b.sku)) };
+}
@@ -0,0 +1,61 @@
+/**
+ * Shop Context
+ * ============
+ *
+ * Tracks which shop the current request or job belongs to, so per-shop
+ * state (storage, mappings, API client, log lines) follows the work
+ * through every await without being passed down by hand. The same goes
+ * for the correlation ID that ties together the log lines of one webhook
+ * delivery or request, including the jobs it queues.
+ *
+ * Outside a shop context the fallback shop is used. It is set when only
+ * one shop is configured; with several shops, per-shop state can only be
+ * reached from inside runWithShop().
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+let fallback = null;
+
+// Run fn (and everything it awaits) on behalf of a shop
+export function runWithShop(shop, fn) {
+  return storage.run({ ...storage.getStore(), shop }, fn);
+}
+
+// Run fn (and everything it awaits) under a correlation ID
+export function runWithCorrelation(correlationId, fn) {
+  return storage.run({ ...storage.getStore(), correlationId }, fn);
+}
+
+// Run fn outside any shop or correlation, e.g. for timers that must not
+// inherit the request that set them
+export function runWithoutContext(fn) {
+  return storage.exit(fn);
+}
+
+// Shop the current work belongs to
+export function currentShop() {
+  const shop = contextShop() || fallback;
+  if (!shop) {
+    throw new Error('No shop selected - several shops are configured');
+  }
+  return shop;
+}
+
+// Shop explicitly selected for the current work, if any
+export function contextShop() {
+  const context = storage.getStore();
+  return (context && context.shop) || null;
+}
+
+// Correlation ID of the current work, if any
+export function correlationId() {
+  const context = storage.getStore();
+  return (context && context.correlationId) || null;
+}
+
+// Shop used outside runWithShop(), or null for none
+export function setFallbackShop(shop) {
+  fallback = shop;
+}
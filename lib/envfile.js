@@ -0,0 +1,88 @@
+/**
+ * .env Files
+ * ==========
+ *
+ * Reads and updates dotenv files for config.js without losing anything
+ * already in them: changed keys are rewritten in place, new keys are
+ * appended, and every other line (comments, blank lines, keys the CLI
+ * does not know about) is kept as it was.
+ */
+
+import fs from 'fs';
+
+// KEY=value, optionally prefixed with "export"
+const ENTRY = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+
+// Values that need no quoting
+const PLAIN_VALUE = /^[A-Za-z0-9_@%+=:,./-]*$/;
+
+function unquote(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    return value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1);
+  }
+  // Unquoted values end at an inline comment
+  return value.replace(/\s+#.*$/, '');
+}
+
+function formatValue(value) {
+  const text = String(value);
+  if (PLAIN_VALUE.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Key -> value of every entry in a .env document
+export function parseEnv(content) {
+  const values = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = ENTRY.exec(line);
+    if (match) {
+      values[match[1]] = unquote(match[2]);
+    }
+  }
+  return values;
+}
+
+// The document with `updates` (key -> value) applied. Keys already in it
+// keep their position; the last occurrence of a repeated key is the one
+// dotenv reads, so that is the one rewritten.
+export function mergeEnv(content, updates) {
+  const lines = content === '' ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+  const pending = new Map(Object.entries(updates));
+
+  for (let index = lines.length - 1; index >= 0; index--) {
+    const match = ENTRY.exec(lines[index]);
+    if (match && pending.has(match[1])) {
+      lines[index] = `${match[1]}=${formatValue(pending.get(match[1]))}`;
+      pending.delete(match[1]);
+    }
+  }
+
+  if (pending.size > 0 && lines.length > 0 && lines[lines.length - 1].trim() !== '') {
+    lines.push('');
+  }
+  for (const [key, value] of pending) {
+    lines.push(`${key}=${formatValue(value)}`);
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+// Entries of a .env file, or {} when it does not exist
+export function readEnvFile(file) {
+  return fs.existsSync(file) ? parseEnv(fs.readFileSync(file, 'utf8')) : {};
+}
+
+// Apply updates to a .env file, creating it if needed. Written atomically
+// and readable only by its owner, since it holds credentials.
+export function updateEnvFile(file, updates) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, mergeEnv(current, updates), { mode: 0o600 });
+  fs.renameSync(tempFile, file);
+}
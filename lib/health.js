@@ -0,0 +1,184 @@
+/**
+ * Health Checks
+ * =============
+ *
+ * Liveness says the process is up. Readiness says it can split orders:
+ *
+ *   storage        DATA_DIR is writable
+ *   queue          job counts; dead-lettered jobs are a warning
+ *   per shop:
+ *     token          a lightweight Shop query succeeds with its access token
+ *     components     every mapped component SKU (and substitute) has a
+ *                    product variant in the shop's catalog (see
+ *                    catalog.js; uncached SKUs are looked up)
+ *     webhookSecret  a secret is configured (required in strict mode)
+ *     webhookSubscriptions
+ *                    the last subscription check found no missing topics
+ *                    (a warning: orders can still be split)
+ *
+ * Each check is "pass", "warn" or "fail"; any "fail" makes the service not
+ * ready. Results are cached for READINESS_CACHE_SECONDS (default 30) so
+ * frequent probes do not use up the Shopify API rate limit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './storage.js';
+import { getQueueStats } from './queue.js';
+import { componentSkus, findVariants } from './catalog.js';
+import { listShops } from './shops.js';
+import { getSubscriptionStatus } from './subscriptions.js';
+import { runWithShop } from './context.js';
+
+export const VERSION = JSON.parse(fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'package.json'),
+  'utf8'
+)).version;
+
+const CACHE_MS = (parseInt(process.env.READINESS_CACHE_SECONDS, 10) || 30) * 1000;
+
+const startedAt = Date.now();
+
+function checkStorage() {
+  const probe = path.join(DATA_DIR, `.ready-${process.pid}`);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(probe, new Date().toISOString());
+    fs.rmSync(probe);
+    return { status: 'pass', dataDir: DATA_DIR };
+  } catch (error) {
+    return { status: 'fail', dataDir: DATA_DIR, error: error.message };
+  }
+}
+
+function checkQueue() {
+  const stats = getQueueStats();
+  return { status: stats.dead > 0 ? 'warn' : 'pass', ...stats };
+}
+
+async function checkToken(shop) {
+  if (!shop.accessToken) {
+    return { status: 'fail', error: 'No access token configured' };
+  }
+
+  try {
+    const data = await shop.shopify.graphql('query Ready { shop { name } }');
+    return { status: 'pass', shopName: data.shop.name };
+  } catch (error) {
+    return { status: 'fail', error: error.message };
+  }
+}
+
+// Component SKUs of the current shop's mappings, checked against its
+// catalog cache
+async function checkComponents() {
+  try {
+    const skus = componentSkus();
+    const found = await findVariants(skus);
+    const missing = skus.filter(sku => !found[sku]);
+    return missing.length > 0
+      ? { status: 'fail', checked: skus.length, missing, error: `No product variant for ${missing.join(', ')}` }
+      : { status: 'pass', checked: skus.length };
+  } catch (error) {
+    return { status: 'fail', error: error.message };
+  }
+}
+
+function checkWebhookSecret(shop, strict) {
+  if (shop.webhookSecrets.length > 0) {
+    return { status: 'pass', secrets: shop.webhookSecrets.length };
+  }
+  return {
+    status: strict ? 'fail' : 'warn',
+    error: strict ? 'No webhook secret - strict mode rejects every webhook' : 'No webhook secret - webhooks are not verified'
+  };
+}
+
+function checkSubscriptions(shop) {
+  const status = getSubscriptionStatus()[shop.domain];
+  if (!status) {
+    return { status: 'pass', checked: false };
+  }
+  return {
+    status: status.missing.length > 0 ? 'warn' : 'pass',
+    checkedAt: status.checkedAt,
+    missing: status.missing,
+    ...(status.error ? { error: status.error } : {})
+  };
+}
+
+async function checkShop(shop, strict) {
+  return runWithShop(shop, async () => {
+    const token = await checkToken(shop);
+    return {
+      token,
+      components: token.status === 'pass'
+        ? await checkComponents()
+        : { status: 'fail', error: 'Skipped - access token check failed' },
+      webhookSecret: checkWebhookSecret(shop, strict),
+      webhookSubscriptions: checkSubscriptions(shop)
+    };
+  });
+}
+
+function worst(statuses) {
+  return ['fail', 'warn'].find(status => statuses.includes(status)) || 'pass';
+}
+
+// Liveness: the process is up and answering
+export function liveness() {
+  return {
+    status: 'alive',
+    version: VERSION,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Create the readiness check. webhookStrict makes a missing webhook secret
+// a failure.
+export function createReadinessCheck({ webhookStrict = false } = {}) {
+  let cached = null;
+  let pending = null;
+
+  async function run() {
+    const shops = {};
+    for (const shop of listShops()) {
+      shops[shop.domain] = await checkShop(shop, webhookStrict);
+    }
+
+    const checks = { storage: checkStorage(), queue: checkQueue() };
+    const statuses = [
+      checks.storage.status,
+      checks.queue.status,
+      ...Object.values(shops).flatMap(shop => Object.values(shop).map(check => check.status))
+    ];
+    const status = worst(statuses);
+
+    return {
+      status: status === 'fail' ? 'not_ready' : 'ready',
+      version: VERSION,
+      checkedAt: new Date().toISOString(),
+      checks: { ...checks, shops }
+    };
+  }
+
+  // Latest readiness report, from cache when it is fresh enough
+  return async function checkReadiness({ refresh = false } = {}) {
+    if (!refresh && cached && Date.now() - Date.parse(cached.checkedAt) < CACHE_MS) {
+      return cached;
+    }
+    if (!pending) {
+      pending = run()
+        .then(report => {
+          cached = report;
+          return report;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * Fulfillment Holds
+ * =================
+ *
+ * Keeps orders with bundle SKUs from being fulfilled (by AutoDS or anyone
+ * else) before they are split. With FULFILLMENT_HOLD=true the order's open
+ * fulfillment orders are put on hold when its webhook arrives, and the
+ * hold is released once the split is committed and verified.
+ *
+ * When the split fails for good, or is committed but cannot be verified,
+ * the order stays held and is flagged with SPLIT_FAILED_TAG (removed again
+ * if the hold is released later).
+ * Orders held longer than HOLD_TIMEOUT_MINUTES raise an alert; with
+ * HOLD_TIMEOUT_ACTION=release their hold is also released, so they ship
+ * unsplit rather than not at all.
+ *
+ * Only holds placed by the service (recognised by their reason notes) are
+ * released. Needs the write_merchant_managed_fulfillment_orders scope, and
+ * write_third_party_fulfillment_orders for orders fulfilled by an app.
+ *
+ * Hold status lifecycle: held -> released
+ *                        held -> failed (split dead-lettered or unverified) -> released
+ */
+
+import { log } from './logger.js';
+import { createStore } from './storage.js';
+import { raiseAlert } from './alerts.js';
+import { currentShop } from './context.js';
+import { assertNoUserErrors } from './shopify.js';
+
+export const HOLDS_ENABLED = process.env.FULFILLMENT_HOLD === 'true';
+export const HOLD_TIMEOUT_MINUTES = parseInt(process.env.HOLD_TIMEOUT_MINUTES, 10) || 60;
+export const HOLD_TIMEOUT_ACTION = process.env.HOLD_TIMEOUT_ACTION === 'release' ? 'release' : 'alert';
+const SPLIT_FAILED_TAG = process.env.SPLIT_FAILED_TAG || 'bundle-split-failed';
+
+export const HOLD_STATUS = {
+  HELD: 'held',
+  FAILED: 'failed',
+  RELEASED: 'released'
+};
+
+// Marks the holds placed by the service
+const HOLD_NOTES = 'Bundle split in progress (order splitter)';
+
+const store = createStore('holds', { orders: {} });
+
+function orderGid(orderId) {
+  return `gid://shopify/Order/${orderId}`;
+}
+
+async function loadFulfillmentOrders(orderId) {
+  const data = await currentShop().shopify.graphql(`
+    query FulfillmentOrders($id: ID!) {
+      order(id: $id) {
+        fulfillmentOrders(first: 50) {
+          nodes {
+            id
+            status
+            fulfillmentHolds { reason reasonNotes }
+          }
+        }
+      }
+    }
+  `, { id: orderGid(orderId) });
+
+  if (!data.order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+  return data.order.fulfillmentOrders.nodes;
+}
+
+// Add or remove the failed-split tag. The tag is only a marker for staff,
+// so failures are logged, not thrown.
+async function tagSplitFailed(orderId, add) {
+  const mutation = add ? 'tagsAdd' : 'tagsRemove';
+  try {
+    const data = await currentShop().shopify.graphql(`
+      mutation Tag($id: ID!, $tags: [String!]!) {
+        ${mutation}(id: $id, tags: $tags) {
+          userErrors { field message }
+        }
+      }
+    `, { id: orderGid(orderId), tags: [SPLIT_FAILED_TAG] });
+    assertNoUserErrors(mutation, data[mutation]);
+  } catch (error) {
+    log('error', `Failed to ${add ? 'tag' : 'untag'} order ${orderId} as ${SPLIT_FAILED_TAG}: ${error.message}`);
+  }
+}
+
+function saveHold(orderId, changes) {
+  return store.update(data => {
+    const key = String(orderId);
+    data.orders[key] = {
+      ...data.orders[key],
+      ...changes,
+      orderId: key,
+      updatedAt: new Date().toISOString()
+    };
+    return data.orders[key];
+  });
+}
+
+export function getHold(orderId) {
+  return store.read().orders[String(orderId)] || null;
+}
+
+// Query holds, newest first
+export function listHolds({ status, limit = 100 } = {}) {
+  return Object.values(store.read().orders)
+    .filter(hold => !status || hold.status === status)
+    .sort((a, b) => b.heldAt.localeCompare(a.heldAt))
+    .slice(0, limit);
+}
+
+// Put an order's open fulfillment orders on hold. Returns the hold, or
+// null when there was nothing open to hold.
+export async function holdOrder(orderId) {
+  const existing = getHold(orderId);
+  if (existing && existing.status !== HOLD_STATUS.RELEASED) {
+    return existing;
+  }
+
+  const open = (await loadFulfillmentOrders(orderId)).filter(fulfillmentOrder => fulfillmentOrder.status === 'OPEN');
+  if (open.length === 0) {
+    log('info', `Order ${orderId} has no open fulfillment orders to hold`);
+    return null;
+  }
+
+  for (const fulfillmentOrder of open) {
+    const data = await currentShop().shopify.graphql(`
+      mutation Hold($id: ID!, $hold: FulfillmentOrderHoldInput!) {
+        fulfillmentOrderHold(id: $id, fulfillmentHold: $hold) {
+          fulfillmentOrder { id status }
+          userErrors { field message }
+        }
+      }
+    `, { id: fulfillmentOrder.id, hold: { reason: 'OTHER', reasonNotes: HOLD_NOTES, notifyMerchant: false } });
+    assertNoUserErrors('fulfillmentOrderHold', data.fulfillmentOrderHold);
+  }
+
+  log('info', `Order ${orderId} put on hold until it is split (${open.length} fulfillment orders)`);
+  return saveHold(orderId, {
+    status: HOLD_STATUS.HELD,
+    heldAt: new Date().toISOString(),
+    fulfillmentOrderIds: open.map(fulfillmentOrder => fulfillmentOrder.id),
+    releasePending: false,
+    timedOutAt: null,
+    error: null
+  });
+}
+
+// Release the service's holds on an order. An order split by an edit may
+// have new fulfillment orders, so they are looked up again. Returns the
+// hold, or null when the order was not held.
+export async function releaseOrder(orderId, reason) {
+  const hold = getHold(orderId);
+  if (!hold || hold.status === HOLD_STATUS.RELEASED) {
+    return null;
+  }
+
+  saveHold(orderId, { releasePending: true, releaseReason: reason });
+  const held = (await loadFulfillmentOrders(orderId)).filter(fulfillmentOrder =>
+    fulfillmentOrder.status === 'ON_HOLD' &&
+    fulfillmentOrder.fulfillmentHolds.some(fulfillmentHold => fulfillmentHold.reasonNotes === HOLD_NOTES)
+  );
+
+  for (const fulfillmentOrder of held) {
+    const data = await currentShop().shopify.graphql(`
+      mutation Release($id: ID!) {
+        fulfillmentOrderReleaseHold(id: $id) {
+          fulfillmentOrder { id status }
+          userErrors { field message }
+        }
+      }
+    `, { id: fulfillmentOrder.id });
+    assertNoUserErrors('fulfillmentOrderReleaseHold', data.fulfillmentOrderReleaseHold);
+  }
+
+  if (hold.status === HOLD_STATUS.FAILED) {
+    await tagSplitFailed(orderId, false);
+  }
+
+  log('info', `Hold on order ${orderId} released: ${reason}`);
+  return saveHold(orderId, {
+    status: HOLD_STATUS.RELEASED,
+    releasedAt: new Date().toISOString(),
+    releasePending: false,
+    error: null
+  });
+}
+
+// Release a hold without failing the work that asked for it, e.g. the
+// split. A failed release is retried by checkHolds().
+export async function releaseHold(orderId, reason) {
+  try {
+    await releaseOrder(orderId, reason);
+  } catch (error) {
+    log('error', `Releasing hold on order ${orderId} failed, will retry: ${error.message}`);
+    saveHold(orderId, { error: error.message });
+  }
+}
+
+// Keep a held order on hold after its split failed for good or could not
+// be verified
+export async function flagHeldOrder(orderId, error) {
+  const hold = getHold(orderId);
+  if (!hold || hold.status !== HOLD_STATUS.HELD) {
+    return null;
+  }
+
+  const flagged = saveHold(orderId, { status: HOLD_STATUS.FAILED, error, failedAt: new Date().toISOString() });
+  await tagSplitFailed(orderId, true);
+  await raiseAlert(
+    'split-failed-order-held',
+    `Order ${orderId} could not be split and stays on hold: ${error}`,
+    { orderId: String(orderId), heldAt: hold.heldAt }
+  );
+  return flagged;
+}
+
+// Retry releases that failed and apply the timeout policy to orders held
+// longer than HOLD_TIMEOUT_MINUTES. Runs for the current shop.
+export async function checkHolds(now = Date.now()) {
+  const deadline = new Date(now - HOLD_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+  for (const hold of listHolds({ limit: Infinity })) {
+    if (hold.status === HOLD_STATUS.RELEASED) {
+      continue;
+    }
+
+    if (hold.releasePending) {
+      await releaseHold(hold.orderId, hold.releaseReason);
+      continue;
+    }
+
+    if (hold.heldAt > deadline || hold.timedOutAt) {
+      continue;
+    }
+
+    saveHold(hold.orderId, { timedOutAt: new Date(now).toISOString() });
+    await raiseAlert(
+      'order-hold-timeout',
+      `Order ${hold.orderId} has been on hold for over ${HOLD_TIMEOUT_MINUTES} minutes (${hold.status})` +
+        (HOLD_TIMEOUT_ACTION === 'release' ? ' - releasing it unsplit' : ''),
+      { orderId: hold.orderId, status: hold.status, heldAt: hold.heldAt, error: hold.error }
+    );
+
+    if (HOLD_TIMEOUT_ACTION === 'release') {
+      try {
+        await releaseOrder(hold.orderId, `Held over ${HOLD_TIMEOUT_MINUTES} minutes`);
+      } catch (error) {
+        log('error', `Releasing timed-out hold on order ${hold.orderId} failed: ${error.message}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Inventory Availability
+ * ======================
+ *
+ * Looks up how many units of each component SKU can be sold, so the
+ * splitter can fall back to substitute SKUs when a component is out of
+ * stock.
+ *
+ * Two sources share one interface, `getAvailability(skus)`, resolving to
+ * { [sku]: availableQuantity }:
+ * - Shopify, through the API client (variant inventory quantity; SKUs that
+ *   are untracked or may oversell count as unlimited)
+ * - a static stub, from INVENTORY_STUB_FILE or an object, for local runs
+ *   and tests
+ */
+
+import fs from 'fs';
+import { searchVariants } from './catalog.js';
+
+// Availability from the shop's live inventory
+export function createShopifyInventory(shopify) {
+  async function getAvailability(skus) {
+    const availability = Object.fromEntries(skus.map(sku => [sku, 0]));
+    const variants = await searchVariants(shopify, skus, 'inventoryQuantity inventoryPolicy inventoryItem { tracked }');
+
+    for (const variant of variants) {
+      const unlimited = variant.inventoryPolicy === 'CONTINUE' ||
+        (variant.inventoryItem && variant.inventoryItem.tracked === false);
+      const quantity = unlimited ? Infinity : Math.max(0, variant.inventoryQuantity || 0);
+
+      // Several variants can share a SKU; use the best stocked one
+      availability[variant.sku] = Math.max(availability[variant.sku], quantity);
+    }
+
+    return availability;
+  }
+
+  return { getAvailability };
+}
+
+// Availability from fixed levels. SKUs not listed are unlimited.
+export function createStaticInventory(levels = {}) {
+  async function getAvailability(skus) {
+    return Object.fromEntries(skus.map(sku => [sku, sku in levels ? levels[sku] : Infinity]));
+  }
+
+  return { getAvailability };
+}
+
+// The inventory source for this process: the stub file when
+// INVENTORY_STUB_FILE is set, otherwise the shop's live inventory
+export function createInventory(shopify) {
+  const stubFile = process.env.INVENTORY_STUB_FILE;
+  if (stubFile) {
+    return createStaticInventory(JSON.parse(fs.readFileSync(stubFile, 'utf8')));
+  }
+  return createShopifyInventory(shopify);
+}
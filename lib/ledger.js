@@ -0,0 +1,154 @@
+/**
+ * Delivery Ledger
+ * ===============
+ *
+ * Persistent record of every order delivery the service has handled,
+ * keyed by X-Shopify-Webhook-Id (or a generated key for manual runs).
+ * Used to acknowledge Shopify's retries without touching the order again
+ * and to refuse splitting an order that was already split.
+ *
+ * Status lifecycle: received -> skipped | split | recorded | failed
+ *                   (recorded: a cancellation or refund noted on the split)
+ *                   split -> reverted (the order may then be split again)
+ *
+ * Each received, split, skipped or failed order delivery is counted in
+ * the order_splitter_orders_total metric.
+ */
+
+import crypto from 'crypto';
+import { createStore } from './storage.js';
+import { createCounter } from './metrics.js';
+import { currentShop } from './context.js';
+
+export const DELIVERY_STATUS = {
+  RECEIVED: 'received',
+  SKIPPED: 'skipped',
+  SPLIT: 'split',
+  FAILED: 'failed',
+  RECORDED: 'recorded',
+  REVERTED: 'reverted'
+};
+
+const store = createStore('ledger', { deliveries: {} });
+
+const ordersCounter = createCounter(
+  'order_splitter_orders_total',
+  'Order deliveries by outcome: received, split, skipped or failed'
+);
+
+// Statuses counted in order_splitter_orders_total
+const COUNTED_STATUSES = new Set([
+  DELIVERY_STATUS.RECEIVED,
+  DELIVERY_STATUS.SPLIT,
+  DELIVERY_STATUS.SKIPPED,
+  DELIVERY_STATUS.FAILED
+]);
+
+function countDelivery(delivery) {
+  if (delivery.orderId !== null && COUNTED_STATUSES.has(delivery.status)) {
+    ordersCounter.inc({ shop: currentShop().domain, topic: delivery.topic, status: delivery.status });
+  }
+}
+
+// Look up a delivery by its ledger key
+export function getDelivery(key) {
+  return store.read().deliveries[key] || null;
+}
+
+// True when a delivery with this key was already accepted. A failed
+// delivery is not a duplicate: Shopify's retry should get another try.
+export function isDuplicateDelivery(key) {
+  const delivery = getDelivery(key);
+  return !!delivery && delivery.status !== DELIVERY_STATUS.FAILED;
+}
+
+// True when any delivery has already split this order
+export function isOrderSplit(orderId) {
+  return Object.values(store.read().deliveries)
+    .some(delivery => delivery.orderId === String(orderId) && delivery.status === DELIVERY_STATUS.SPLIT);
+}
+
+// Mark the deliveries that split an order as reverted, so the order can
+// be split again
+export function markOrderReverted(orderId) {
+  store.update(data => {
+    for (const delivery of Object.values(data.deliveries)) {
+      if (delivery.orderId === String(orderId) && delivery.status === DELIVERY_STATUS.SPLIT) {
+        delivery.status = DELIVERY_STATUS.REVERTED;
+        delivery.updatedAt = new Date().toISOString();
+      }
+    }
+  });
+}
+
+// Record a new delivery as received. Manual runs have no webhook ID, so
+// they get a generated key.
+export function recordDelivery({ webhookId, orderId, topic = 'orders/create', source = 'webhook' }) {
+  const key = webhookId || `${source}-${crypto.randomUUID()}`;
+  const now = new Date().toISOString();
+
+  const recorded = store.update(data => {
+    const previous = data.deliveries[key];
+    const delivery = {
+      key,
+      webhookId: webhookId || null,
+      orderId: orderId == null ? null : String(orderId),
+      topic,
+      source,
+      status: DELIVERY_STATUS.RECEIVED,
+      attempts: previous ? previous.attempts + 1 : 1,
+      message: null,
+      receivedAt: previous ? previous.receivedAt : now,
+      updatedAt: now
+    };
+    data.deliveries[key] = delivery;
+    return delivery;
+  });
+
+  countDelivery(recorded);
+  return recorded;
+}
+
+// Move a delivery to its next status
+export function updateDelivery(key, status, message = null) {
+  const updated = store.update(data => {
+    const delivery = data.deliveries[key];
+    if (!delivery) {
+      throw new Error(`Unknown ledger entry ${key}`);
+    }
+    delivery.status = status;
+    delivery.message = message;
+    delivery.updatedAt = new Date().toISOString();
+    return delivery;
+  });
+
+  countDelivery(updated);
+  return updated;
+}
+
+// Order deliveries still waiting for their split `olderThanMs` after they
+// arrived, not reported before. They are marked as reported, so each one
+// is returned once.
+export function takeUnsplitDeliveries(olderThanMs, now = Date.now()) {
+  const cutoff = new Date(now - olderThanMs).toISOString();
+
+  return store.update(data => {
+    const stale = Object.values(data.deliveries).filter(delivery =>
+      delivery.status === DELIVERY_STATUS.RECEIVED &&
+      delivery.orderId !== null &&
+      !delivery.unsplitReportedAt &&
+      delivery.receivedAt < cutoff
+    );
+    stale.forEach(delivery => { delivery.unsplitReportedAt = new Date(now).toISOString(); });
+    return stale;
+  });
+}
+
+// Query deliveries, newest first
+export function listDeliveries({ orderId, status, limit = 100 } = {}) {
+  return Object.values(store.read().deliveries)
+    .filter(delivery => !orderId || delivery.orderId === String(orderId))
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
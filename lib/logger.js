@@ -0,0 +1,120 @@
+/**
+ * Logging
+ * =======
+ *
+ * Shared logging helper for the service and its modules. Every line is a
+ * JSON object with time, level, message, the shop and the correlation ID
+ * of the work it belongs to, and any data passed along:
+ *
+ *   {"time":"...","level":"info","msg":"Order 5 split","shop":"brand.myshopify.com","correlationId":"...","data":{...}}
+ *
+ * LOG_FORMAT=text prints the older human-readable lines instead, and
+ * LOG_LEVEL (debug, info, warn, error; default info) drops quieter lines.
+ *
+ * Data is redacted before it is written: credentials (tokens, secrets,
+ * passwords) and customer details from order payloads (names, emails,
+ * phone numbers, street addresses, IPs) are replaced with "[REDACTED]".
+ * Errors are reduced to their name, message, status and stack.
+ */
+
+import crypto from 'crypto';
+import { contextShop, correlationId, runWithCorrelation } from './context.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const REDACTED = '[REDACTED]';
+
+// Keys holding credentials, wherever they appear
+const SECRET_KEY = /token|secret|password|authorization|api[_-]?key|hmac/i;
+
+// Order payload keys holding customer details
+const PII_KEYS = new Set([
+  'email',
+  'contact_email',
+  'phone',
+  'first_name',
+  'last_name',
+  'company',
+  'address1',
+  'address2',
+  'zip',
+  'latitude',
+  'longitude',
+  'browser_ip',
+  'client_details',
+  'note',
+  'note_attributes'
+]);
+
+// Objects that describe a person, where "name" is a person's name too
+const PERSON_KEYS = new Set(['customer', 'billing_address', 'shipping_address', 'default_address', 'addresses']);
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+// Copy of value with credentials and customer details replaced
+export function redact(value, inPerson = false) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, inPerson));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SECRET_KEY.test(key) || PII_KEYS.has(key) || (inPerson && key === 'name')) {
+      return [key, item === null || item === undefined ? item : REDACTED];
+    }
+    return [key, redact(item, inPerson || PERSON_KEYS.has(key))];
+  }));
+}
+
+// Logging utility
+export function log(level, message, data = null) {
+  if ((LEVELS[level] || LEVELS.info) < LOG_LEVEL) {
+    return;
+  }
+
+  const time = new Date().toISOString();
+  const shop = contextShop();
+  const correlation = correlationId();
+  const safeData = data ? redact(data) : null;
+
+  if (LOG_FORMAT === 'text') {
+    const prefix = `${shop ? `[${shop.domain}] ` : ''}${correlation ? `(${correlation}) ` : ''}`;
+    console.log(`[${time}] ${level.toUpperCase()}: ${prefix}${message}`);
+    if (safeData) {
+      console.log(JSON.stringify(safeData, null, 2));
+    }
+    return;
+  }
+
+  console.log(JSON.stringify({
+    time,
+    level,
+    msg: message,
+    ...(shop ? { shop: shop.domain } : {}),
+    ...(correlation ? { correlationId: correlation } : {}),
+    ...(safeData ? { data: safeData } : {})
+  }));
+}
+
+// Middleware giving each request a correlation ID: the webhook ID for
+// Shopify deliveries, else X-Request-Id, else a new one. It is echoed
+// back in X-Correlation-Id.
+export function correlateRequests(req, res, next) {
+  const id = (req.get('X-Shopify-Webhook-Id') || req.get('X-Request-Id') || crypto.randomUUID()).slice(0, 128);
+  res.set('X-Correlation-Id', id);
+  runWithCorrelation(id, next);
+}
@@ -0,0 +1,420 @@
+/**
+ * SKU Mapping Store
+ * =================
+ *
+ * Loads bundle -> component SKU mappings from a versioned JSON file,
+ * validates them, and reloads them when the file changes on disk so
+ * bundles can be edited without a restart or redeploy.
+ *
+ * File format:
+ * {
+ *   "version": 3,
+ *   "updatedAt": "2024-01-01T00:00:00.000Z",
+ *   "mappings": {
+ *     "BUNDLE-SKU": [
+ *       { "sku": "COMPONENT-SKU", "quantity": 1, "title": "Component" }
+ *     ],
+ *     "OTHER-BUNDLE": {
+ *       "allocation": "catalog",
+ *       "components": [
+ *         { "sku": "A", "quantity": 1, "title": "A", "price": "12.00" },
+ *         { "sku": "B", "quantity": 2, "title": "B", "price": "4.50" }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * A mapping is either a plain component list or an object with
+ * `components` and an `allocation` strategy deciding how the bundle price
+ * is shared between the components:
+ * - "weighted" (default): by each component's `weight` (default 1)
+ * - "catalog": by each component's catalog price x quantity
+ * - "first": the whole price on the first component
+ *
+ * The object form may also carry `rules`: alternative component lists
+ * used when a line matches their `when` conditions.
+ *
+ *   "rules": [
+ *     {
+ *       "when": { "country": ["US", "CA"], "variantTitle": "Large",
+ *                 "minQuantity": 2, "maxQuantity": 10,
+ *                 "properties": { "Gift wrap": "Yes" } },
+ *       "priority": 10,
+ *       "components": [ ... ]
+ *     }
+ *   ]
+ *
+ * Every condition in a rule must match. When several rules match, the
+ * highest `priority` wins (default 0), then the rule with the most
+ * conditions, then the one listed first. If no rule matches, the
+ * mapping's own `components` are used; a mapping without them leaves the
+ * line unsplit.
+ *
+ * A component may list ordered `substitutes` (SKUs or { "sku", "title" })
+ * to use instead when inventory checks find it out of stock.
+ *
+ * A component may itself be a bundle SKU. It is expanded recursively, up
+ * to MAX_BUNDLE_DEPTH levels; cycles are rejected when the file loads.
+ *
+ * Each shop has its own mapping file (see shops.js). The functions below
+ * default to the file of the shop the current work belongs to.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './logger.js';
+import { currentShop } from './context.js';
+
+const DEFAULT_MAPPINGS_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'config',
+  'sku-mappings.json'
+);
+
+export const MAPPINGS_FILE = path.resolve(process.env.SKU_MAPPINGS_FILE || DEFAULT_MAPPINGS_FILE);
+
+export const ALLOCATION_STRATEGIES = ['weighted', 'catalog', 'first'];
+
+// Keys a rule's "when" clause may test
+export const RULE_CONDITIONS = ['properties', 'variantTitle', 'country', 'minQuantity', 'maxQuantity'];
+
+// How deep bundles may nest inside other bundles
+export const MAX_BUNDLE_DEPTH = parseInt(process.env.MAX_BUNDLE_DEPTH, 10) || 5;
+
+// Currently active mapping set per file
+const active = new Map();
+
+const EMPTY = {
+  version: null,
+  updatedAt: null,
+  loadedAt: null,
+  mappings: {}
+};
+
+// Mapping file of the current shop
+function shopFile() {
+  return currentShop().mappingsFile;
+}
+
+function activeSet(file) {
+  return active.get(file) || EMPTY;
+}
+
+// SKU of a substitute entry, which may be a bare SKU or { sku, title }
+export function substituteSku(substitute) {
+  return substitute && typeof substitute === 'object' ? substitute.sku : substitute;
+}
+
+// Validate one component list (a mapping's default or a rule's)
+function validateComponents(where, bundleSku, allocation, components, errors) {
+  if (!ALLOCATION_STRATEGIES.includes(allocation)) {
+    errors.push(`${where}: "allocation" must be one of ${ALLOCATION_STRATEGIES.join(', ')}`);
+  }
+
+  if (!Array.isArray(components) || components.length === 0) {
+    errors.push(`${where}: must list at least one component`);
+    return;
+  }
+
+  const seen = new Set();
+  components.forEach((component, index) => {
+    const at = `${where}[${index}]`;
+
+    if (!component || typeof component.sku !== 'string' || !component.sku.trim()) {
+      errors.push(`${at}: "sku" must be a non-empty string`);
+      return;
+    }
+
+    if (!Number.isInteger(component.quantity) || component.quantity < 1) {
+      errors.push(`${at}: "quantity" must be a positive integer`);
+    }
+
+    if (component.title !== undefined && typeof component.title !== 'string') {
+      errors.push(`${at}: "title" must be a string`);
+    }
+
+    if (component.weight !== undefined && !(typeof component.weight === 'number' && component.weight >= 0)) {
+      errors.push(`${at}: "weight" must be a non-negative number`);
+    }
+
+    if (component.price !== undefined && !(parseFloat(component.price) >= 0)) {
+      errors.push(`${at}: "price" must be a non-negative amount`);
+    }
+
+    if (component.sku === bundleSku) {
+      errors.push(`${at}: bundle ${bundleSku} must not map to itself`);
+    }
+
+    if (component.substitutes !== undefined) {
+      if (!Array.isArray(component.substitutes)) {
+        errors.push(`${at}: "substitutes" must be a list`);
+      } else {
+        component.substitutes.forEach((substitute, subIndex) => {
+          const sku = substituteSku(substitute);
+          if (typeof sku !== 'string' || !sku.trim()) {
+            errors.push(`${at}.substitutes[${subIndex}]: must be a SKU or { "sku", "title" }`);
+          } else if (sku === component.sku || sku === bundleSku) {
+            errors.push(`${at}.substitutes[${subIndex}]: ${sku} cannot substitute for itself or its bundle`);
+          }
+        });
+      }
+    }
+
+    if (seen.has(component.sku)) {
+      errors.push(`${at}: duplicate component SKU ${component.sku}`);
+    }
+    seen.add(component.sku);
+  });
+
+  if (allocation === 'weighted' && components.every(component => component && component.weight === 0)) {
+    errors.push(`${where}: at least one component needs a non-zero "weight"`);
+  }
+}
+
+// Validate a rule's "when" clause
+function validateConditions(where, when, errors) {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    errors.push(`${where}: "when" must be an object`);
+    return;
+  }
+
+  for (const key of Object.keys(when)) {
+    if (!RULE_CONDITIONS.includes(key)) {
+      errors.push(`${where}: unknown condition "${key}" (expected ${RULE_CONDITIONS.join(', ')})`);
+    }
+  }
+
+  for (const key of ['variantTitle', 'country']) {
+    const value = when[key];
+    if (value !== undefined && typeof value !== 'string' &&
+        !(Array.isArray(value) && value.every(entry => typeof entry === 'string'))) {
+      errors.push(`${where}: "${key}" must be a string or a list of strings`);
+    }
+  }
+
+  for (const key of ['minQuantity', 'maxQuantity']) {
+    if (when[key] !== undefined && !(Number.isInteger(when[key]) && when[key] >= 1)) {
+      errors.push(`${where}: "${key}" must be a positive integer`);
+    }
+  }
+
+  if (when.properties !== undefined &&
+      (!when.properties || typeof when.properties !== 'object' || Array.isArray(when.properties))) {
+    errors.push(`${where}: "properties" must be an object of name/value pairs`);
+  }
+}
+
+// Every SKU a bundle can expand to, across its default and rule branches
+function branchSkus(mapping) {
+  const { components, rules } = normalizeMapping(mapping);
+  return [components || [], ...rules.map(rule => rule.components || [])]
+    .flat()
+    .filter(component => component && typeof component.sku === 'string')
+    .map(component => component.sku);
+}
+
+// Find bundles that contain themselves (directly or through other
+// bundles) and nesting deeper than MAX_BUNDLE_DEPTH
+function validateNesting(mappings, errors) {
+  const reported = new Set();
+
+  function walk(sku, path) {
+    if (path.includes(sku)) {
+      const cycle = [...path.slice(path.indexOf(sku)), sku].join(' -> ');
+      if (!reported.has(cycle)) {
+        reported.add(cycle);
+        errors.push(`Bundle cycle: ${cycle}`);
+      }
+      return;
+    }
+
+    if (mappings[sku] && path.length >= MAX_BUNDLE_DEPTH) {
+      const chain = [...path, sku].join(' -> ');
+      if (!reported.has(chain)) {
+        reported.add(chain);
+        errors.push(`Bundles nest deeper than ${MAX_BUNDLE_DEPTH} levels: ${chain}`);
+      }
+      return;
+    }
+
+    if (mappings[sku]) {
+      for (const child of branchSkus(mappings[sku])) {
+        walk(child, [...path, sku]);
+      }
+    }
+  }
+
+  Object.keys(mappings).forEach(sku => walk(sku, []));
+}
+
+// Validate a parsed mapping document, returning a list of problems
+export function validateMappings(document) {
+  const errors = [];
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return ['Mapping file must contain a JSON object'];
+  }
+
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    errors.push('"version" must be a positive integer');
+  }
+
+  const mappings = document.mappings;
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    errors.push('"mappings" must be an object keyed by bundle SKU');
+    return errors;
+  }
+
+  for (const [bundleSku, mapping] of Object.entries(mappings)) {
+    if (!bundleSku.trim()) {
+      errors.push('Bundle SKU must not be empty');
+    }
+
+    if (!mapping || typeof mapping !== 'object') {
+      errors.push(`${bundleSku}: must be a component list or a mapping object`);
+      continue;
+    }
+
+    const { allocation, components, rules } = normalizeMapping(mapping);
+
+    if (!Array.isArray(mapping) && mapping.rules !== undefined && !Array.isArray(mapping.rules)) {
+      errors.push(`${bundleSku}: "rules" must be a list`);
+    }
+
+    // A mapping made only of rules leaves unmatched lines unsplit
+    if (components !== undefined || rules.length === 0) {
+      validateComponents(bundleSku, bundleSku, allocation, components, errors);
+    }
+
+    rules.forEach((rule, index) => {
+      const where = `${bundleSku}.rules[${index}]`;
+      validateConditions(where, rule.when, errors);
+
+      if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+        errors.push(`${where}: "priority" must be an integer`);
+      }
+
+      validateComponents(where, bundleSku, rule.allocation, rule.components, errors);
+    });
+  }
+
+  if (errors.length === 0) {
+    validateNesting(mappings, errors);
+  }
+
+  return errors;
+}
+
+// Bring either mapping form to { allocation, components, rules }. Rules
+// inherit the mapping's allocation unless they set their own.
+export function normalizeMapping(mapping) {
+  if (Array.isArray(mapping)) {
+    return { allocation: 'weighted', components: mapping, rules: [] };
+  }
+
+  if (mapping && typeof mapping === 'object') {
+    const allocation = mapping.allocation || 'weighted';
+    const rules = Array.isArray(mapping.rules) ? mapping.rules : [];
+
+    return {
+      ...mapping,
+      allocation,
+      components: mapping.components,
+      rules: rules.map(rule => ({ ...rule, allocation: (rule && rule.allocation) || allocation }))
+    };
+  }
+
+  return { allocation: 'weighted', components: undefined, rules: [] };
+}
+
+// Read, validate and activate the mapping file
+export function loadMappings(file = shopFile()) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read SKU mappings from ${file}: ${error.message}`);
+  }
+
+  const errors = validateMappings(document);
+  if (errors.length > 0) {
+    throw new Error(`Invalid SKU mappings in ${file}: ${errors.join('; ')}`);
+  }
+
+  const loaded = {
+    version: document.version,
+    updatedAt: document.updatedAt || null,
+    loadedAt: new Date().toISOString(),
+    mappings: document.mappings
+  };
+  active.set(file, loaded);
+
+  log('info', `Loaded SKU mappings version ${loaded.version} from ${file} (${Object.keys(loaded.mappings).length} bundles)`);
+  return loaded;
+}
+
+// Validate a mapping set and write it to a file as the given version.
+// The file is replaced atomically so the watcher never sees a
+// half-written document.
+export function writeMappings(mappings, file, version) {
+  const document = {
+    version,
+    updatedAt: new Date().toISOString(),
+    mappings
+  };
+
+  const errors = validateMappings(document);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid SKU mappings: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(document, null, 2) + '\n');
+  fs.renameSync(tempFile, file);
+  return document;
+}
+
+// Validate and persist a new mapping set as the next version, then
+// activate it
+export function saveMappings(mappings, file = shopFile()) {
+  writeMappings(mappings, file, (activeSet(file).version || 0) + 1);
+  return loadMappings(file);
+}
+
+// Active bundle -> components lookup
+export function getMappings(file = shopFile()) {
+  return activeSet(file).mappings;
+}
+
+// Metadata about the active mapping set
+export function getMappingInfo(file = shopFile()) {
+  const { version, updatedAt, loadedAt } = activeSet(file);
+  return { version, updatedAt, loadedAt, file };
+}
+
+// Reload the mappings whenever the file changes. An invalid edit is
+// logged and ignored so the last good version stays active.
+export function watchMappings(file = shopFile(), interval = 2000) {
+  fs.watchFile(file, { interval, persistent: false }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    try {
+      loadMappings(file);
+    } catch (error) {
+      log('error', `SKU mapping reload failed, keeping version ${activeSet(file).version}: ${error.message}`);
+    }
+  });
+}
+
+// Stop watching a mapping file and forget its mappings
+export function unwatchMappings(file = shopFile()) {
+  fs.unwatchFile(file);
+  active.delete(file);
+}
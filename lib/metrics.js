@@ -0,0 +1,95 @@
+/**
+ * Metrics
+ * =======
+ *
+ * In-process counters and histograms, rendered in the Prometheus text
+ * format for GET /metrics. Modules create their metrics at load time and
+ * update them as work happens; values reset when the process restarts.
+ *
+ *   order_splitter_orders_total{shop,topic,status}
+ *       Order deliveries received, split, skipped and failed
+ *   order_splitter_shopify_request_duration_seconds{shop,api,status}
+ *       Shopify API round trips, per attempt
+ */
+
+const registry = new Map();
+
+// Label set as a stable key, e.g. shop="a",status="split"
+function labelKey(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+function register(name, type, help, metric) {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+  registry.set(name, { name, type, help, series: new Map(), ...metric });
+  return registry.get(name);
+}
+
+// A counter that only goes up
+export function createCounter(name, help) {
+  const metric = register(name, 'counter', help);
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+}
+
+// A histogram of observed values (e.g. seconds) in cumulative buckets
+export function createHistogram(name, help, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const metric = register(name, 'histogram', help, { buckets });
+
+  return {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      if (!metric.series.has(key)) {
+        metric.series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const series = metric.series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          series.counts[index] += 1;
+        }
+      });
+      series.sum += value;
+      series.count += 1;
+    }
+  };
+}
+
+function renderSeries(name, key, value) {
+  return `${name}${key ? `{${key}}` : ''} ${value}`;
+}
+
+// Every metric in the Prometheus text exposition format
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      if (metric.type === 'counter') {
+        lines.push(renderSeries(metric.name, key, value));
+        continue;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(renderSeries(`${metric.name}_bucket`, labelKey({ ...value.labels, le: bound }), value.counts[index]));
+      });
+      lines.push(renderSeries(`${metric.name}_bucket`, labelKey({ ...value.labels, le: '+Inf' }), value.count));
+      lines.push(renderSeries(`${metric.name}_sum`, key, value.sum));
+      lines.push(renderSeries(`${metric.name}_count`, key, value.count));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,155 @@
+/**
+ * OAuth App Install
+ * =================
+ *
+ * Lets shops install the service as a Shopify app instead of pasting an
+ * Admin API token into .env:
+ *
+ *   GET /auth?shop=<domain>   redirects to Shopify's consent screen
+ *   GET /auth/callback        validates the callback, exchanges the code
+ *                             for an access token, stores it encrypted and
+ *                             registers the webhooks
+ *
+ * Needs SHOPIFY_API_KEY and SHOPIFY_API_SECRET (the app's client
+ * credentials), APP_URL (the public URL of this service) and
+ * TOKEN_ENCRYPTION_KEY. OAUTH_SCOPES overrides the requested scopes.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { log } from './logger.js';
+import { installShop } from './shops.js';
+import { runWithShop } from './context.js';
+
+const API_KEY = process.env.SHOPIFY_API_KEY;
+const API_SECRET = process.env.SHOPIFY_API_SECRET;
+const APP_URL = process.env.APP_URL;
+
+export const OAUTH_SCOPES = process.env.OAUTH_SCOPES ||
+  'read_orders,write_orders,write_order_edits,read_products,read_inventory,' +
+  'read_merchant_managed_fulfillment_orders,write_merchant_managed_fulfillment_orders,' +
+  'read_third_party_fulfillment_orders,write_third_party_fulfillment_orders';
+
+// How long an install may take between redirect and callback
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Pending installs: state nonce -> { shop, expiresAt }
+const pendingStates = new Map();
+
+export function oauthConfigured() {
+  return !!(API_KEY && API_SECRET && APP_URL);
+}
+
+// Check the hmac Shopify adds to install and callback query strings:
+// a hex SHA-256 HMAC of the other parameters, sorted, as a query string
+export function verifyOAuthQuery(query, secret = API_SECRET) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== 'string') {
+    return false;
+  }
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const calculated = crypto.createHmac('sha256', secret).update(message).digest();
+  const provided = Buffer.from(hmac, 'hex');
+
+  return provided.length === calculated.length && crypto.timingSafeEqual(provided, calculated);
+}
+
+function takeState(state, shop) {
+  const pending = pendingStates.get(state);
+  pendingStates.delete(state);
+  return !!pending && pending.shop === shop && pending.expiresAt > Date.now();
+}
+
+// Trade the callback's authorization code for an offline access token
+async function exchangeCode(shop, code) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_id: API_KEY, client_secret: API_SECRET, code })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Access token exchange failed: ${response.status} ${await response.text()}`);
+  }
+  return response.json();
+}
+
+// Build the /auth router. onInstalled(shop) runs after a shop's token is
+// stored, inside that shop's context.
+export function createOAuthRouter({ onInstalled }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!oauthConfigured()) {
+      return res.status(503).send('App install disabled: SHOPIFY_API_KEY, SHOPIFY_API_SECRET and APP_URL must be set');
+    }
+    next();
+  });
+
+  // Start an install
+  router.get('/', (req, res) => {
+    const shop = String(req.query.shop || '').toLowerCase();
+
+    if (!SHOP_DOMAIN.test(shop)) {
+      return res.status(400).send('Missing or invalid shop parameter');
+    }
+    // Installs launched from Shopify are signed; links typed by hand are not
+    if (req.query.hmac && !verifyOAuthQuery(req.query)) {
+      log('warn', `Install request for ${shop} failed HMAC validation`);
+      return res.status(401).send('Unauthorized');
+    }
+
+    for (const [key, pending] of pendingStates) {
+      if (pending.expiresAt <= Date.now()) {
+        pendingStates.delete(key);
+      }
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    pendingStates.set(state, { shop, expiresAt: Date.now() + STATE_TTL_MS });
+
+    const params = new URLSearchParams({
+      client_id: API_KEY,
+      scope: OAUTH_SCOPES,
+      redirect_uri: `${APP_URL.replace(/\/$/, '')}/auth/callback`,
+      state
+    });
+    log('info', `Starting app install for ${shop}`);
+    res.redirect(`https://${shop}/admin/oauth/authorize?${params}`);
+  });
+
+  // Finish an install
+  router.get('/callback', async (req, res) => {
+    const { shop, code, state } = req.query;
+
+    if (!SHOP_DOMAIN.test(String(shop || '')) || !verifyOAuthQuery(req.query)) {
+      log('warn', `Install callback for ${shop} failed HMAC validation`);
+      return res.status(401).send('Unauthorized');
+    }
+    if (!takeState(state, shop)) {
+      log('warn', `Install callback for ${shop} has an unknown or expired state`);
+      return res.status(403).send('Install expired - start again');
+    }
+
+    try {
+      const { access_token: accessToken, scope } = await exchangeCode(shop, code);
+      const installed = installShop(shop, { accessToken, scopes: scope });
+      log('info', `App installed on ${shop} with scopes ${scope}`);
+
+      await runWithShop(installed, () => onInstalled(installed));
+      res.redirect(`https://${shop}/admin/apps/${API_KEY}`);
+    } catch (error) {
+      log('error', `App install on ${shop} failed: ${error.message}`);
+      res.status(500).send('Install failed');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,255 @@
+/**
+ * Job Queue
+ * =========
+ *
+ * Local persistent job queue with a single in-process worker. Jobs that
+ * throw are retried with exponential backoff; after QUEUE_MAX_ATTEMPTS
+ * failures they move to the dead-letter state and stay there until
+ * replayed. An error marked `permanent` would fail the same way on every
+ * attempt, so it dead-letters the job at once.
+ *
+ * The queue is shared by all shops. Each job records the shop it was
+ * queued for and runs in that shop's context, under the correlation ID of
+ * the request that queued it.
+ *
+ * Job status lifecycle: pending -> running -> done
+ *                                          -> pending (retry)
+ *                                          -> dead
+ */
+
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { createStore } from './storage.js';
+import { correlationId, currentShop, runWithCorrelation, runWithShop, runWithoutContext } from './context.js';
+import { getShop } from './shops.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  DEAD: 'dead'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_MS = parseInt(process.env.QUEUE_BACKOFF_MS, 10) || 5000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 1000;
+
+const store = createStore('jobs', { jobs: {} }, { shared: true });
+const handlers = {};
+
+let timer = null;
+let running = false;
+
+// Delay before the next attempt: BACKOFF_MS, 2x, 4x, ... capped at an hour
+export function backoffDelay(attempts) {
+  return Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Register the function that runs jobs of a given type. onDeadLetter is
+// called once a job has used up its attempts.
+export function registerJobHandler(type, handler, { onDeadLetter } = {}) {
+  handlers[type] = { handler, onDeadLetter };
+}
+
+// Add a job to the queue
+export function enqueueJob(type, data, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    shop: currentShop().domain,
+    correlationId: correlationId(),
+    data,
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts,
+    lastError: null,
+    nextRunAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.update(doc => {
+    doc.jobs[job.id] = job;
+  });
+
+  log('info', `Queued ${type} job ${job.id}`);
+  schedule(0);
+  return job;
+}
+
+// Pick the oldest pending job that is due
+function nextDueJob() {
+  const now = new Date().toISOString();
+  return Object.values(store.read().jobs)
+    .filter(job => job.status === JOB_STATUS.PENDING && job.nextRunAt <= now)
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0] || null;
+}
+
+// Persist changes to a job
+function saveJob(id, changes) {
+  return store.update(doc => {
+    Object.assign(doc.jobs[id], changes, { updatedAt: new Date().toISOString() });
+    return doc.jobs[id];
+  });
+}
+
+// Run a job's work in the context of its shop and correlation ID. Jobs
+// queued before shops were recorded run for the fallback shop.
+function inJobShop(job, fn) {
+  const correlated = () => runWithCorrelation(job.correlationId || job.id, fn);
+  if (!job.shop) {
+    return correlated();
+  }
+
+  const shop = getShop(job.shop);
+  if (!shop) {
+    throw new Error(`Shop ${job.shop} is no longer configured`);
+  }
+  return runWithShop(shop, correlated);
+}
+
+// Run one job and record the outcome
+async function runJob(job) {
+  const registration = handlers[job.type];
+  const attempts = job.attempts + 1;
+  saveJob(job.id, { status: JOB_STATUS.RUNNING, attempts });
+
+  try {
+    if (!registration) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    await inJobShop(job, () => registration.handler(job.data, { ...job, attempts }));
+    saveJob(job.id, { status: JOB_STATUS.DONE, lastError: null });
+  } catch (error) {
+    if (attempts >= job.maxAttempts || error.permanent) {
+      log('error', `Job ${job.id} (${job.type}) dead-lettered after ${attempts} attempts: ${error.message}`);
+      const dead = saveJob(job.id, { status: JOB_STATUS.DEAD, lastError: error.message });
+
+      if (registration && registration.onDeadLetter) {
+        try {
+          await inJobShop(job, () => registration.onDeadLetter(dead.data, dead, error));
+        } catch (hookError) {
+          log('error', `Dead-letter handler for job ${job.id} failed: ${hookError.message}`);
+        }
+      }
+      return;
+    }
+
+    const delay = backoffDelay(attempts);
+    log('warn', `Job ${job.id} (${job.type}) failed on attempt ${attempts}, retrying in ${delay}ms: ${error.message}`);
+    saveJob(job.id, {
+      status: JOB_STATUS.PENDING,
+      lastError: error.message,
+      nextRunAt: new Date(Date.now() + delay).toISOString()
+    });
+  }
+}
+
+// Drain due jobs one at a time, then poll again
+async function work() {
+  timer = null;
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    let job;
+    while ((job = nextDueJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    log('error', `Job worker error: ${error.message}`);
+  } finally {
+    running = false;
+    schedule(POLL_INTERVAL_MS);
+  }
+}
+
+function schedule(delay) {
+  if (timer || running) {
+    return;
+  }
+  // The worker serves every shop, so it must not keep the context of
+  // whichever request woke it up
+  timer = runWithoutContext(() => setTimeout(work, delay));
+  timer.unref();
+}
+
+// Start the worker. Jobs left running by a crash are picked up again.
+export function startWorker() {
+  store.update(doc => {
+    for (const job of Object.values(doc.jobs)) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.PENDING;
+      }
+    }
+  });
+  schedule(0);
+}
+
+export function stopWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+// Query jobs, newest first. Jobs without a shop match any shop.
+export function listJobs({ status, shop, limit = 100 } = {}) {
+  return Object.values(store.read().jobs)
+    .filter(job => !status || job.status === status)
+    .filter(job => !shop || !job.shop || job.shop === shop)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+export function getJob(id) {
+  return store.read().jobs[id] || null;
+}
+
+// Drop a shop's jobs, e.g. when it uninstalls the app. A job already
+// running is left to finish.
+export function removeShopJobs(shop) {
+  return store.update(doc => {
+    let removed = 0;
+    for (const job of Object.values(doc.jobs)) {
+      if (job.shop === shop && job.status !== JOB_STATUS.RUNNING) {
+        delete doc.jobs[job.id];
+        removed += 1;
+      }
+    }
+    return removed;
+  });
+}
+
+// Counts of jobs per status
+export function getQueueStats() {
+  const stats = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+  for (const job of Object.values(store.read().jobs)) {
+    stats[job.status] += 1;
+  }
+  return stats;
+}
+
+// Put a dead-lettered job back on the queue with a fresh set of attempts
+export function replayJob(id) {
+  const job = getJob(id);
+  if (!job) {
+    throw new Error(`Unknown job ${id}`);
+  }
+  if (job.status !== JOB_STATUS.DEAD) {
+    throw new Error(`Job ${id} is ${job.status}, only dead jobs can be replayed`);
+  }
+
+  const replayed = saveJob(id, {
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    nextRunAt: new Date().toISOString()
+  });
+
+  log('info', `Replaying job ${id} (${job.type})`);
+  schedule(0);
+  return replayed;
+}
@@ -0,0 +1,49 @@
+/**
+ * Secret Encryption
+ * =================
+ *
+ * Encrypts secrets such as shop access tokens before they are written to
+ * disk, with AES-256-GCM under a key derived from TOKEN_ENCRYPTION_KEY.
+ * Changing the key makes previously stored secrets unreadable.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+function key() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY not configured - cannot store access tokens');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Encrypt a string as "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+// Decrypt a value produced by encryptSecret
+export function decryptSecret(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error('Unrecognized encrypted secret');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Unable to decrypt secret - was TOKEN_ENCRYPTION_KEY changed?');
+  }
+}
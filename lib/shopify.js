@@ -0,0 +1,304 @@
+/**
+ * Shopify Admin API Client
+ * ========================
+ *
+ * REST and GraphQL client shared by the splitter service and test.js.
+ *
+ * - Configurable API version (SHOPIFY_API_VERSION)
+ * - Retries 429 responses, honouring Retry-After, and 5xx responses and
+ *   transport failures of reads (GET and GraphQL queries, not mutations)
+ * - Paces REST calls from X-Shopify-Shop-Api-Call-Limit and GraphQL calls
+ *   from the query cost throttle status, so bursts wait instead of failing
+ * - Per-request timeout (SHOPIFY_TIMEOUT_MS)
+ * - Failures surface as ShopifyAPIError carrying Shopify's `errors` payload
+ * - Every round trip is timed into order_splitter_shopify_request_duration_seconds
+ *   and logged at debug level with Shopify's X-Request-Id
+ * - Requests go to https://<store> unless a baseUrl (or SHOPIFY_API_URL) points
+ *   them elsewhere, e.g. at the local stand-in used by the test suite
+ */
+
+import fetch from 'node-fetch';
+import { log } from './logger.js';
+import { createHistogram } from './metrics.js';
+
+export const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+const DEFAULT_BASE_URL = process.env.SHOPIFY_API_URL || null;
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.SHOPIFY_TIMEOUT_MS, 10) || 10000;
+const DEFAULT_MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES, 10) || 3;
+const RETRY_BASE_MS = 1000;
+
+// REST leaky bucket: Shopify drains 2 calls per second on standard plans.
+// Start waiting once the bucket is this full.
+const REST_LEAK_PER_SECOND = 2;
+const REST_PACING_THRESHOLD = 0.8;
+
+const requestDuration = createHistogram(
+  'order_splitter_shopify_request_duration_seconds',
+  'Shopify Admin API round trips by API and response status'
+);
+
+// Error raised for any failed Shopify call
+export class ShopifyAPIError extends Error {
+  constructor(message, { status = null, errors = null, endpoint = null, method = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ShopifyAPIError';
+    this.status = status;
+    this.errors = errors;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.retryable = retryable;
+  }
+}
+
+// Throw if a mutation payload came back with userErrors
+export function assertNoUserErrors(mutation, payload) {
+  const userErrors = (payload && payload.userErrors) || [];
+  if (userErrors.length > 0) {
+    const message = userErrors
+      .map(e => (e.field ? `${e.field.join('.')}: ${e.message}` : e.message))
+      .join('; ');
+    throw new Error(`${mutation} failed: ${message}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether a request only reads, so sending it again cannot apply a write
+// twice. GraphQL queries are POSTed too, but mutations are not reads.
+function isRead(endpoint, method, data) {
+  if (endpoint === 'graphql.json') {
+    return !/^\s*mutation\b/.test(data.query);
+  }
+  return method === 'GET';
+}
+
+// Parse a body that is usually JSON but may be an HTML error page
+function parseBody(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { errors: text.slice(0, 500) };
+  }
+}
+
+// Seconds in a Retry-After header, as milliseconds
+function retryAfterMs(response) {
+  const seconds = parseFloat(response.headers.get('Retry-After'));
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function isThrottledGraphQL(errors) {
+  return Array.isArray(errors) &&
+    errors.some(error => error.extensions && error.extensions.code === 'THROTTLED');
+}
+
+// Create a client bound to one store and token
+export function createShopifyClient({
+  store,
+  accessToken,
+  apiVersion = DEFAULT_API_VERSION,
+  baseUrl = DEFAULT_BASE_URL || `https://${store}`,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES
+}) {
+  // Last known rate-limit state, updated from every response
+  const restBucket = { used: 0, limit: 40, at: 0 };
+  const graphqlBucket = { available: null, maximum: null, restoreRate: 50, lastCost: 0, at: 0 };
+
+  // Wait until the REST bucket has drained below the pacing threshold
+  async function paceRest() {
+    const elapsed = (Date.now() - restBucket.at) / 1000;
+    const used = Math.max(0, restBucket.used - elapsed * REST_LEAK_PER_SECOND);
+    const threshold = restBucket.limit * REST_PACING_THRESHOLD;
+
+    if (used >= threshold) {
+      const wait = Math.ceil(((used - threshold) / REST_LEAK_PER_SECOND) * 1000);
+      log('debug', `Pacing Shopify REST call for ${wait}ms (bucket ${Math.round(used)}/${restBucket.limit})`);
+      await sleep(wait);
+    }
+  }
+
+  // Wait until enough GraphQL cost points have been restored for a query
+  // as expensive as the last one
+  async function paceGraphQL() {
+    if (graphqlBucket.available === null) {
+      return;
+    }
+
+    const elapsed = (Date.now() - graphqlBucket.at) / 1000;
+    const available = Math.min(
+      graphqlBucket.maximum,
+      graphqlBucket.available + elapsed * graphqlBucket.restoreRate
+    );
+
+    if (available < graphqlBucket.lastCost) {
+      const wait = Math.ceil(((graphqlBucket.lastCost - available) / graphqlBucket.restoreRate) * 1000);
+      log('debug', `Pacing Shopify GraphQL call for ${wait}ms (${Math.round(available)} points available)`);
+      await sleep(wait);
+    }
+  }
+
+  function trackRest(response) {
+    const header = response.headers.get('X-Shopify-Shop-Api-Call-Limit');
+    if (header) {
+      const [used, limit] = header.split('/').map(Number);
+      if (Number.isFinite(used) && Number.isFinite(limit)) {
+        Object.assign(restBucket, { used, limit, at: Date.now() });
+      }
+    }
+  }
+
+  function trackGraphQL(result) {
+    const cost = result && result.extensions && result.extensions.cost;
+    if (cost && cost.throttleStatus) {
+      Object.assign(graphqlBucket, {
+        available: cost.throttleStatus.currentlyAvailable,
+        maximum: cost.throttleStatus.maximumAvailable,
+        restoreRate: cost.throttleStatus.restoreRate || graphqlBucket.restoreRate,
+        lastCost: cost.requestedQueryCost || graphqlBucket.lastCost,
+        at: Date.now()
+      });
+    }
+  }
+
+  // Delay before retry number `attempt` (1-based)
+  function retryDelay(attempt, response) {
+    const fromHeader = response ? retryAfterMs(response) : null;
+    return fromHeader !== null ? fromHeader : RETRY_BASE_MS * 2 ** (attempt - 1);
+  }
+
+  // One timed HTTP round trip with a timeout
+  async function send(url, options, endpoint) {
+    const api = endpoint === 'graphql.json' ? 'graphql' : 'rest';
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = process.hrtime.bigint();
+    let status = 'error';
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      status = response.status;
+      log('debug', `Shopify ${options.method} ${endpoint} answered ${status}`, {
+        shopifyRequestId: response.headers.get('X-Request-Id')
+      });
+      return response;
+    } catch (error) {
+      status = error.name === 'AbortError' ? 'timeout' : 'error';
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      requestDuration.observe({ shop: store, api, status }, seconds);
+    }
+  }
+
+  // REST request with pacing and retries
+  async function request(endpoint, method = 'GET', data = null) {
+    const url = `${baseUrl.replace(/\/$/, '')}/admin/api/${apiVersion}/${endpoint}`;
+
+    const options = {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken
+      }
+    };
+
+    if (data) {
+      options.body = JSON.stringify(data);
+    }
+
+    // A write that failed with a timeout or a 5xx may still have been
+    // applied, so only reads are sent again after those
+    const read = isRead(endpoint, method, data);
+
+    for (let attempt = 0; ; attempt++) {
+      if (endpoint === 'graphql.json') {
+        await paceGraphQL();
+      } else {
+        await paceRest();
+      }
+
+      let response;
+      try {
+        response = await send(url, options, endpoint);
+      } catch (error) {
+        const timedOut = error.name === 'AbortError';
+        const failure = new ShopifyAPIError(
+          timedOut
+            ? `Shopify API timeout after ${timeoutMs}ms: ${method} ${endpoint}`
+            : `Shopify API request failed: ${error.message}`,
+          { endpoint, method, retryable: read }
+        );
+
+        if (failure.retryable && attempt < maxRetries) {
+          const delay = retryDelay(attempt + 1);
+          log('warn', `${failure.message} - retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        log('error', failure.message);
+        throw failure;
+      }
+
+      trackRest(response);
+      const result = parseBody(await response.text());
+
+      if (endpoint === 'graphql.json') {
+        trackGraphQL(result);
+      }
+
+      const throttled = response.status === 429 ||
+        (response.ok && result && isThrottledGraphQL(result.errors));
+      const retryable = throttled || (response.status >= 500 && read);
+
+      if (retryable && attempt < maxRetries) {
+        const delay = retryDelay(attempt + 1, response);
+        log('warn', `Shopify API ${throttled ? 'throttled' : `error ${response.status}`} on ${method} ${endpoint} - retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (!response.ok || throttled) {
+        const errors = result ? result.errors || result : null;
+        const failure = new ShopifyAPIError(
+          `Shopify API Error: ${response.status} - ${JSON.stringify(errors)}`,
+          { status: response.status, errors, endpoint, method, retryable }
+        );
+        log('error', `Shopify API request failed: ${failure.message}`);
+        throw failure;
+      }
+
+      return result;
+    }
+  }
+
+  // GraphQL request. Top-level errors throw; userErrors are left to the
+  // caller because each mutation reports them under its own key (see
+  // assertNoUserErrors).
+  async function graphql(query, variables = {}) {
+    const result = await request('graphql.json', 'POST', { query, variables });
+
+    if (result.errors && result.errors.length > 0) {
+      const message = result.errors.map(e => e.message).join('; ');
+      log('error', `Shopify GraphQL request failed: ${message}`);
+      throw new ShopifyAPIError(`Shopify GraphQL Error: ${message}`, {
+        status: 200,
+        errors: result.errors,
+        endpoint: 'graphql.json',
+        method: 'POST'
+      });
+    }
+
+    return result.data;
+  }
+
+  return { store, apiVersion, request, graphql };
+}
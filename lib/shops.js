@@ -0,0 +1,245 @@
+/**
+ * Shops
+ * =====
+ *
+ * Per-shop configuration for running one service for several storefronts.
+ *
+ * With SHOPS_FILE set, every shop listed there is served:
+ * {
+ *   "shops": {
+ *     "brand-us.myshopify.com": {
+ *       "accessToken": "shpat_...",
+ *       "webhookSecret": "...",
+ *       "webhookSecretPrevious": "...",
+ *       "apiVersion": "2024-01",
+ *       "mappingsFile": "sku-mappings.brand-us.json"
+ *     }
+ *   }
+ * }
+ * mappingsFile is resolved relative to SHOPS_FILE. Each shop keeps its
+ * ledger, audit trail and backfill runs under DATA_DIR/shops/<domain>/.
+ *
+ * Without SHOPS_FILE the single shop comes from SHOPIFY_STORE,
+ * SHOPIFY_ACCESS_TOKEN, WEBHOOK_SECRET(_PREVIOUS), SHOPIFY_API_VERSION and
+ * SKU_MAPPINGS_FILE, and keeps its data directly in DATA_DIR as before.
+ * When the service runs as an OAuth app (SHOPIFY_API_KEY set) and has no
+ * SHOPIFY_ACCESS_TOKEN, there is no such shop.
+ *
+ * Shops that install the app through OAuth are added next to these. Their
+ * access tokens are stored encrypted in DATA_DIR/installations.json. Their
+ * webhooks are signed with the app's API secret. Their mapping file lives
+ * in their data directory and starts as a copy of the default one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, createStore, purgeDataDir } from './storage.js';
+import { MAPPINGS_FILE } from './mappings.js';
+import { decryptSecret, encryptSecret } from './secrets.js';
+import { log } from './logger.js';
+import { DEFAULT_API_VERSION, createShopifyClient } from './shopify.js';
+import { createInventory } from './inventory.js';
+import { runWithShop, setFallbackShop } from './context.js';
+
+export const SHOPS_FILE = process.env.SHOPS_FILE ? path.resolve(process.env.SHOPS_FILE) : null;
+
+const DEFAULT_STORE = 'thefloatingcandles.myshopify.com';
+
+// Shops from SHOPS_FILE or the environment, and every shop served now
+let configuredShops = new Map();
+let shops = new Map();
+
+const installations = createStore('installations', { shops: {} }, { shared: true });
+
+// Shop domains as Shopify sends them in X-Shopify-Shop-Domain
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase();
+}
+
+// A shop with its API client and inventory source
+function createShop({ domain, accessToken, webhookSecrets, apiVersion, mappingsFile, dataDir }) {
+  const shopify = createShopifyClient({ store: domain, accessToken, apiVersion });
+  return {
+    domain,
+    accessToken,
+    webhookSecrets: webhookSecrets.filter(Boolean),
+    apiVersion,
+    mappingsFile,
+    dataDir,
+    shopify,
+    inventory: createInventory(shopify)
+  };
+}
+
+// The single shop configured through environment variables
+function shopFromEnv() {
+  return createShop({
+    domain: normalizeDomain(process.env.SHOPIFY_STORE || DEFAULT_STORE),
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    webhookSecrets: [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS],
+    apiVersion: DEFAULT_API_VERSION,
+    mappingsFile: MAPPINGS_FILE,
+    dataDir: DATA_DIR
+  });
+}
+
+// Every shop listed in SHOPS_FILE
+function shopsFromFile(file) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read shops from ${file}: ${error.message}`);
+  }
+
+  const entries = Object.entries((document && document.shops) || {});
+  if (entries.length === 0) {
+    throw new Error(`No shops configured in ${file}`);
+  }
+
+  return entries.map(([key, config]) => {
+    const domain = normalizeDomain(key);
+    if (!config || !config.accessToken || !config.mappingsFile) {
+      throw new Error(`Shop ${domain} in ${file} needs "accessToken" and "mappingsFile"`);
+    }
+
+    return createShop({
+      domain,
+      accessToken: config.accessToken,
+      webhookSecrets: [config.webhookSecret, config.webhookSecretPrevious],
+      apiVersion: config.apiVersion || DEFAULT_API_VERSION,
+      mappingsFile: path.resolve(path.dirname(file), config.mappingsFile),
+      dataDir: path.join(DATA_DIR, 'shops', domain)
+    });
+  });
+}
+
+// A shop served with the token from its OAuth install. A configured shop
+// keeps its own settings and only takes the new token.
+function installedShop(domain, accessToken) {
+  const configured = configuredShops.get(domain);
+  const dataDir = configured ? configured.dataDir : path.join(DATA_DIR, 'shops', domain);
+
+  return createShop({
+    domain,
+    accessToken,
+    webhookSecrets: [process.env.SHOPIFY_API_SECRET, ...(configured ? configured.webhookSecrets : [])],
+    apiVersion: configured ? configured.apiVersion : DEFAULT_API_VERSION,
+    mappingsFile: configured ? configured.mappingsFile : path.join(dataDir, 'sku-mappings.json'),
+    dataDir
+  });
+}
+
+// A lone shop becomes the fallback for work done outside a shop context
+function setShops(list) {
+  shops = new Map(list.map(shop => [shop.domain, shop]));
+  setFallbackShop(shops.size === 1 ? list[0] : null);
+}
+
+// Load the shop configuration and every shop that installed the app
+export function loadShops() {
+  let configured = [];
+  if (SHOPS_FILE) {
+    configured = shopsFromFile(SHOPS_FILE);
+  } else if (!process.env.SHOPIFY_API_KEY || process.env.SHOPIFY_ACCESS_TOKEN) {
+    configured = [shopFromEnv()];
+  }
+  configuredShops = new Map(configured.map(shop => [shop.domain, shop]));
+
+  const loaded = new Map(configuredShops);
+  for (const [domain, installation] of Object.entries(installations.read().shops)) {
+    loaded.set(domain, installedShop(domain, decryptSecret(installation.accessToken)));
+  }
+
+  setShops([...loaded.values()]);
+  return listShops();
+}
+
+// Store a shop's OAuth access token (encrypted) and start serving it
+export function installShop(domain, { accessToken, scopes }) {
+  const shop = installedShop(normalizeDomain(domain), accessToken);
+
+  installations.update(data => {
+    data.shops[shop.domain] = {
+      accessToken: encryptSecret(accessToken),
+      scopes,
+      installedAt: new Date().toISOString()
+    };
+  });
+
+  if (!fs.existsSync(shop.mappingsFile)) {
+    fs.mkdirSync(path.dirname(shop.mappingsFile), { recursive: true });
+    fs.copyFileSync(MAPPINGS_FILE, shop.mappingsFile);
+  }
+
+  setShops([...listShops().filter(existing => existing.domain !== shop.domain), shop]);
+  return shop;
+}
+
+// Forget a shop's OAuth install. A shop that only existed through the
+// install stops being served and its data directory is deleted; a
+// configured shop goes back to its configured token and keeps its data.
+export function uninstallShop(domain) {
+  const key = normalizeDomain(domain);
+  const shop = shops.get(key);
+
+  installations.update(data => {
+    delete data.shops[key];
+  });
+
+  const others = listShops().filter(existing => existing.domain !== key);
+  const configured = configuredShops.get(key);
+
+  if (configured) {
+    setShops([...others, configured]);
+    log('warn', `Shop ${key} uninstalled the app but is configured - its data was kept`);
+    return { purged: false };
+  }
+
+  setShops(others);
+  if (shop) {
+    purgeDataDir(shop.dataDir);
+  }
+  return { purged: true };
+}
+
+// Look up a configured shop by domain
+export function getShop(domain) {
+  return shops.get(normalizeDomain(domain)) || null;
+}
+
+export function listShops() {
+  return [...shops.values()];
+}
+
+// Pick the shop a request is for: the one named, or the only one
+// configured. Throws with an HTTP status when that is not possible.
+export function resolveShop(domain) {
+  if (domain) {
+    const shop = getShop(domain);
+    if (!shop) {
+      throw Object.assign(new Error(`Unknown shop ${domain}`), { status: 404 });
+    }
+    return shop;
+  }
+
+  if (shops.size === 0) {
+    throw Object.assign(new Error('No shops configured or installed'), { status: 404 });
+  }
+  if (shops.size !== 1) {
+    throw Object.assign(new Error('Several shops are configured - name one with ?shop= or X-Shop-Domain'), { status: 400 });
+  }
+  return listShops()[0];
+}
+
+// Middleware running the rest of a request for the shop named by ?shop=
+// or the X-Shop-Domain header
+export function scopeToShop(req, res, next) {
+  let shop;
+  try {
+    shop = resolveShop(req.query.shop || req.get('X-Shop-Domain'));
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  runWithShop(shop, next);
+}
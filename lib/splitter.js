@@ -0,0 +1,384 @@
+/**
+ * Line Item Splitter
+ * ==================
+ *
+ * Turns an order's line items into the line items it should have once
+ * every bundle SKU is replaced by its components. Pure with respect to
+ * Shopify: applying the result is the caller's job.
+ *
+ * Money is handled in integer cents. The bundle line's total, its
+ * discount allocations and its tax lines are each shared across the
+ * components with the largest-remainder method, so the parts always add
+ * back up to the original amounts exactly. When a component's share does
+ * not divide evenly by its quantity, the component is emitted as two
+ * lines (e.g. 2 x 3.33 and 1 x 3.34) so unit prices stay exact.
+ *
+ * Components that are bundles themselves are expanded recursively, with
+ * their share of the price passed down. Conditional rules are evaluated
+ * against the line's properties, its variant title (top-level bundles
+ * only), the order's shipping country and the quantity being expanded.
+ *
+ * When an availability map is passed in, a component without enough stock
+ * is swapped for its first substitute that has enough. Components with no
+ * available substitute are kept and reported in `unavailable`.
+ *
+ * Component lines take their variant ID, weight and shipping flag from the
+ * catalog entries passed in (see catalog.js). A component with no entry
+ * gets no variant ID, for the caller to resolve, and no weight.
+ */
+
+import { log } from './logger.js';
+import { getMappings, normalizeMapping, substituteSku, MAX_BUNDLE_DEPTH } from './mappings.js';
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount || 0) * 100);
+}
+
+function fromCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// REST numeric ID of a GraphQL global ID
+function legacyId(gid) {
+  return Number(String(gid).split('/').pop());
+}
+
+// Share `total` cents across `weights` so the parts sum to `total` exactly.
+// Leftover cents go to the largest fractional remainders.
+export function allocateCents(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) {
+    return allocateCents(total, weights.map(() => 1));
+  }
+
+  const exact = weights.map(weight => (total * weight) / weightSum);
+  const parts = exact.map(Math.floor);
+  let leftover = total - parts.reduce((sum, part) => sum + part, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length, leftover--) {
+    parts[byRemainder[i].index] += 1;
+  }
+
+  return parts;
+}
+
+// Relative share of the bundle price for each component
+function allocationWeights(bundleSku, mapping, catalogPrices) {
+  const { allocation, components } = mapping;
+
+  if (allocation === 'first') {
+    return components.map((component, index) => (index === 0 ? 1 : 0));
+  }
+
+  if (allocation === 'catalog') {
+    const prices = components.map(component => {
+      const price = catalogPrices[component.sku] ?? component.price;
+      return price === undefined ? null : toCents(price) * component.quantity;
+    });
+
+    if (prices.every(price => price !== null)) {
+      return prices;
+    }
+
+    log('warn', `No catalog price for every component of ${bundleSku} - allocating evenly`);
+    return components.map(() => 1);
+  }
+
+  return components.map(component => component.weight ?? 1);
+}
+
+// Lines for one component: a single line when its total divides evenly
+// by its quantity, otherwise two lines one cent apart in unit price
+function componentLines(base, totalCents, quantity) {
+  const unit = Math.floor(totalCents / quantity);
+  const remainder = totalCents - unit * quantity;
+
+  const lines = [{ ...base, quantity: quantity - remainder, price: fromCents(unit), totalCents: unit * (quantity - remainder) }];
+  if (remainder > 0) {
+    lines.push({ ...base, quantity: remainder, price: fromCents(unit + 1), totalCents: (unit + 1) * remainder });
+  }
+
+  return lines.filter(line => line.quantity > 0);
+}
+
+// Line item properties as a name -> value lookup
+function propertyMap(properties) {
+  if (Array.isArray(properties)) {
+    return Object.fromEntries(properties.map(property => [property.name, String(property.value)]));
+  }
+  return properties || {};
+}
+
+function matchesOneOf(expected, actual) {
+  const options = Array.isArray(expected) ? expected : [expected];
+  return actual !== undefined && actual !== null &&
+    options.some(option => option.toLowerCase() === String(actual).toLowerCase());
+}
+
+// True when every condition in a rule's "when" clause holds
+function ruleMatches(when, context) {
+  if (when.variantTitle !== undefined && !matchesOneOf(when.variantTitle, context.variantTitle)) {
+    return false;
+  }
+  if (when.country !== undefined && !matchesOneOf(when.country, context.country)) {
+    return false;
+  }
+  if (when.minQuantity !== undefined && context.quantity < when.minQuantity) {
+    return false;
+  }
+  if (when.maxQuantity !== undefined && context.quantity > when.maxQuantity) {
+    return false;
+  }
+  if (when.properties !== undefined) {
+    return Object.entries(when.properties)
+      .every(([name, value]) => context.properties[name] === String(value));
+  }
+  return true;
+}
+
+// Pick the component list to use for a bundle: the best matching rule
+// (priority, then number of conditions, then file order), else the
+// mapping's default components, else null to leave the line alone
+export function selectBranch(mapping, context) {
+  const { allocation, components, rules } = normalizeMapping(mapping);
+
+  const matched = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => ruleMatches(rule.when || {}, context))
+    .sort((a, b) =>
+      (b.rule.priority || 0) - (a.rule.priority || 0) ||
+      Object.keys(b.rule.when || {}).length - Object.keys(a.rule.when || {}).length ||
+      a.index - b.index
+    );
+
+  if (matched.length > 0) {
+    return matched[0].rule;
+  }
+
+  return components ? { allocation, components } : null;
+}
+
+// Expand a bundle into leaf components, recursing into components that
+// are bundles themselves. `path` is the chain of bundle SKUs above.
+function expandBundle(sku, branch, totalCents, quantity, context, path, skuMappings, catalogPrices) {
+  if (path.length >= MAX_BUNDLE_DEPTH) {
+    throw new Error(`Bundle ${[...path, sku].join(' -> ')} nests deeper than ${MAX_BUNDLE_DEPTH} levels`);
+  }
+
+  const weights = allocationWeights(sku, branch, catalogPrices);
+  const shares = allocateCents(totalCents, weights);
+  const chain = [...path, sku];
+
+  return branch.components.flatMap((component, index) => {
+    const componentQuantity = component.quantity * quantity;
+    const nested = skuMappings[component.sku];
+
+    if (nested) {
+      if (chain.includes(component.sku)) {
+        throw new Error(`Bundle cycle: ${[...chain, component.sku].join(' -> ')}`);
+      }
+
+      const nestedContext = { ...context, quantity: componentQuantity, variantTitle: undefined };
+      const nestedBranch = selectBranch(nested, nestedContext);
+
+      if (nestedBranch) {
+        log('info', `Expanding nested bundle SKU: ${component.sku} (quantity: ${componentQuantity})`);
+        return expandBundle(component.sku, nestedBranch, shares[index], componentQuantity,
+          nestedContext, chain, skuMappings, catalogPrices);
+      }
+    }
+
+    return [{
+      sku: component.sku,
+      title: component.title,
+      substitutes: component.substitutes || [],
+      quantity: componentQuantity,
+      totalCents: shares[index]
+    }];
+  });
+}
+
+// Swap a leaf component for a substitute when it lacks stock. `reserved`
+// tracks units already claimed by earlier lines of the same order.
+function applyAvailability(leaf, availability, reserved) {
+  const free = sku => (sku in availability ? availability[sku] : Infinity) - (reserved[sku] || 0);
+  const candidates = [
+    { sku: leaf.sku, title: leaf.title },
+    ...leaf.substitutes.map(substitute => ({
+      sku: substituteSku(substitute),
+      title: substitute && typeof substitute === 'object' ? substitute.title : undefined
+    }))
+  ];
+
+  const chosen = candidates.find(candidate => free(candidate.sku) >= leaf.quantity);
+  if (!chosen) {
+    const shortage = { sku: leaf.sku, required: leaf.quantity, available: Math.max(0, free(leaf.sku)) };
+    reserved[leaf.sku] = (reserved[leaf.sku] || 0) + leaf.quantity;
+    return { leaf, shortage };
+  }
+
+  reserved[chosen.sku] = (reserved[chosen.sku] || 0) + leaf.quantity;
+  if (chosen.sku === leaf.sku) {
+    return { leaf };
+  }
+
+  log('info', `Component ${leaf.sku} is out of stock - substituting ${chosen.sku}`);
+  return { leaf: { ...leaf, sku: chosen.sku, title: chosen.title, substitutedFor: leaf.sku } };
+}
+
+// Share the bundle line's discount allocations and tax lines across the
+// component lines in proportion to their totals
+function carryAdjustments(item, lines) {
+  const weights = lines.map(line => line.totalCents);
+
+  const discountShares = (item.discount_allocations || []).map(discount =>
+    allocateCents(toCents(discount.amount), weights)
+  );
+  const taxShares = (item.tax_lines || []).map(tax =>
+    allocateCents(toCents(tax.price), weights)
+  );
+
+  return lines.map(({ totalCents, ...line }, lineIndex) => ({
+    ...line,
+    discount_allocations: (item.discount_allocations || []).map((discount, index) => ({
+      amount: fromCents(discountShares[index][lineIndex]),
+      discount_application_index: discount.discount_application_index
+    })),
+    tax_lines: (item.tax_lines || []).map((tax, index) => ({
+      title: tax.title,
+      rate: tax.rate,
+      price: fromCents(taxShares[index][lineIndex])
+    }))
+  }));
+}
+
+// Split order line items based on SKU mappings. Options:
+// - catalogPrices: component SKU -> current catalog price, for "catalog"
+//   allocation
+// - shippingCountry: the order's shipping country code, for rules
+// - availability: SKU -> units available; enables substitutes
+// - variants: component SKU -> catalog entry, for variant IDs and weights
+export function splitLineItems(originalLineItems, skuMappings = getMappings(), {
+  catalogPrices = {},
+  shippingCountry = null,
+  availability = null,
+  variants = {}
+} = {}) {
+  const newLineItems = [];
+  const unavailable = [];
+  const reserved = {};
+  let hasChanges = false;
+
+  for (const item of originalLineItems) {
+    const context = {
+      properties: propertyMap(item.properties),
+      variantTitle: item.variant_title,
+      country: shippingCountry,
+      quantity: item.quantity
+    };
+    const branch = skuMappings[item.sku] ? selectBranch(skuMappings[item.sku], context) : null;
+
+    if (branch) {
+      log('info', `Splitting bundle SKU: ${item.sku} (quantity: ${item.quantity})`);
+      hasChanges = true;
+
+      let leaves = expandBundle(item.sku, branch, toCents(item.price) * item.quantity,
+        item.quantity, context, [], skuMappings, catalogPrices);
+
+      if (availability) {
+        leaves = leaves.map(leaf => {
+          const { leaf: checked, shortage } = applyAvailability(leaf, availability, reserved);
+          if (shortage) {
+            unavailable.push({ bundleSku: item.sku, ...shortage });
+          }
+          return checked;
+        });
+      }
+
+      // Add component SKUs
+      const lines = leaves.flatMap(leaf => {
+        const variant = variants[leaf.sku];
+        return componentLines({
+          variant_id: variant ? legacyId(variant.variantId) : null,
+          bundle_line_item_id: item.id,
+          sku: leaf.sku,
+          title: leaf.title,
+          ...(leaf.substitutedFor ? { substituted_for: leaf.substitutedFor } : {}),
+          grams: variant ? variant.grams : 0,
+          ...(variant ? { requires_shipping: variant.requiresShipping } : {}),
+          taxable: item.taxable || false
+        }, leaf.totalCents, leaf.quantity);
+      });
+
+      newLineItems.push(...carryAdjustments(item, lines));
+    } else {
+      // Keep original item unchanged
+      newLineItems.push({
+        id: item.id,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        quantity: item.quantity,
+        title: item.title,
+        price: item.price,
+        grams: item.grams,
+        taxable: item.taxable
+      });
+    }
+  }
+
+  return { newLineItems, hasChanges, unavailable };
+}
+
+// Visit every branch of every bundle reachable from these line items,
+// at any nesting level and in any rule
+function walkBranches(lineItems, skuMappings, visitBranch) {
+  const visited = new Set();
+
+  function visit(bundleSku) {
+    if (visited.has(bundleSku) || !skuMappings[bundleSku]) {
+      return;
+    }
+    visited.add(bundleSku);
+
+    const { allocation, components, rules } = normalizeMapping(skuMappings[bundleSku]);
+    const branches = [{ allocation, components: components || [] }, ...rules];
+
+    for (const branch of branches) {
+      visitBranch(branch);
+      (branch.components || []).forEach(component => visit(component.sku));
+    }
+  }
+
+  lineItems.forEach(item => visit(item.sku));
+}
+
+// Component SKUs of the bundles in these line items whose mapping
+// allocates by catalog price
+export function catalogPricedComponents(lineItems, skuMappings = getMappings()) {
+  const skus = new Set();
+  walkBranches(lineItems, skuMappings, branch => {
+    if (branch.allocation === 'catalog') {
+      (branch.components || []).forEach(component => skus.add(component.sku));
+    }
+  });
+  return [...skus];
+}
+
+// Leaf component SKUs and their substitutes that these line items could
+// split into - the SKUs an availability check needs
+export function inventorySkus(lineItems, skuMappings = getMappings()) {
+  const skus = new Set();
+  walkBranches(lineItems, skuMappings, branch => {
+    for (const component of branch.components || []) {
+      if (!skuMappings[component.sku]) {
+        skus.add(component.sku);
+      }
+      (component.substitutes || []).forEach(substitute => skus.add(substituteSku(substitute)));
+    }
+  });
+  return [...skus];
+}
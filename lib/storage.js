@@ -0,0 +1,88 @@
+/**
+ * Local Storage
+ * =============
+ *
+ * Minimal persistent JSON document store under DATA_DIR (default ./data).
+ * Each store is one JSON file, cached in memory and rewritten atomically on
+ * every change. Writes are synchronous, so an update() cannot interleave
+ * with another one inside this process.
+ *
+ * Stores are per shop: each one lives in the data directory of the shop
+ * the current work belongs to (see context.js). Shared stores live in
+ * DATA_DIR itself.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { currentShop } from './context.js';
+
+export const DATA_DIR = path.resolve(
+  process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data')
+);
+
+// Cached documents of every store, by file
+const caches = new Map();
+
+// Create (or open) a named JSON store
+export function createStore(name, defaults = {}, { shared = false } = {}) {
+
+  // File backing the store for the current shop
+  function file() {
+    return path.join(shared ? DATA_DIR : currentShop().dataDir, `${name}.json`);
+  }
+
+  function read() {
+    const target = file();
+    if (caches.has(target)) {
+      return caches.get(target);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(target, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read store ${target}: ${error.message}`);
+      }
+      data = structuredClone(defaults);
+    }
+
+    caches.set(target, data);
+    return data;
+  }
+
+  function write(data) {
+    const target = file();
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tempFile = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, target);
+    caches.set(target, data);
+  }
+
+  // Apply a mutation to the document and persist it
+  function update(mutate) {
+    const data = read();
+    const result = mutate(data);
+    write(data);
+    return result;
+  }
+
+  return { file, read, write, update };
+}
+
+// Delete a shop's data directory and forget its cached documents
+export function purgeDataDir(dir) {
+  const root = path.resolve(dir);
+  if (root === DATA_DIR) {
+    throw new Error('Refusing to purge the shared data directory');
+  }
+
+  fs.rmSync(root, { recursive: true, force: true });
+  for (const file of caches.keys()) {
+    if (file.startsWith(root + path.sep)) {
+      caches.delete(file);
+    }
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Webhook Subscriptions
+ * =====================
+ *
+ * Keeps each shop's webhook subscriptions pointing at this service. A
+ * check compares the subscriptions the shop has with the topics the
+ * service handles; a sync then:
+ *
+ *   - creates topics that have no subscription
+ *   - moves subscriptions at another address to APP_URL
+ *   - recreates subscriptions on another API version, since Shopify
+ *     only sets the version when a subscription is created
+ *
+ * The outcome of the last check or sync is kept per shop for /health.
+ * Only subscriptions made through the API are visible here; webhooks
+ * created under Settings > Notifications in Shopify Admin are not.
+ */
+
+import { log } from './logger.js';
+import { currentShop } from './context.js';
+import { assertNoUserErrors } from './shopify.js';
+
+export const APP_URL = process.env.APP_URL;
+
+// Topics the service subscribes to, as used in /webhooks/<topic>
+export const WEBHOOK_TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/edited',
+  'orders/cancelled',
+  'refunds/create',
+  'products/update',
+  'app/uninstalled'
+];
+
+// Outcome of the last check or sync per shop domain
+const status = new Map();
+
+// GraphQL WebhookSubscriptionTopic enum value, e.g. ORDERS_CREATE
+function topicEnum(topic) {
+  return topic.toUpperCase().replace('/', '_');
+}
+
+function callbackUrl(appUrl, topic) {
+  return `${appUrl.replace(/\/$/, '')}/webhooks/${topic}`;
+}
+
+// Every webhook subscription the shop has for this app
+export async function listSubscriptions() {
+  const { shopify } = currentShop();
+  const subscriptions = [];
+  let cursor = null;
+
+  do {
+    const data = await shopify.graphql(`
+      query Subscriptions($cursor: String) {
+        webhookSubscriptions(first: 100, after: $cursor) {
+          edges {
+            node {
+              id
+              topic
+              apiVersion { handle }
+              endpoint {
+                __typename
+                ... on WebhookHttpEndpoint { callbackUrl }
+              }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { cursor });
+
+    const { edges, pageInfo } = data.webhookSubscriptions;
+    for (const { node } of edges) {
+      subscriptions.push({
+        id: node.id,
+        topic: node.topic,
+        apiVersion: node.apiVersion.handle,
+        callbackUrl: node.endpoint.callbackUrl || null
+      });
+    }
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return subscriptions;
+}
+
+// What a sync would do for each topic: { topic, action, reason, existing }
+// with action 'ok', 'create', 'update' (address) or 'recreate' (API version)
+export async function planSubscriptions(appUrl = APP_URL) {
+  const { apiVersion } = currentShop();
+  const subscriptions = await listSubscriptions();
+
+  return WEBHOOK_TOPICS.map(topic => {
+    const address = callbackUrl(appUrl, topic);
+    const candidates = subscriptions.filter(subscription => subscription.topic === topicEnum(topic));
+    const existing = candidates.find(subscription => subscription.callbackUrl === address) || candidates[0];
+
+    if (!existing) {
+      return { topic, action: 'create', reason: 'No subscription', existing: null };
+    }
+    if (existing.apiVersion !== apiVersion) {
+      return { topic, action: 'recreate', reason: `API version ${existing.apiVersion}, expected ${apiVersion}`, existing };
+    }
+    if (existing.callbackUrl !== address) {
+      return { topic, action: 'update', reason: `Delivers to ${existing.callbackUrl}`, existing };
+    }
+    return { topic, action: 'ok', reason: null, existing };
+  });
+}
+
+async function createSubscription(topic, address) {
+  const data = await currentShop().shopify.graphql(`
+    mutation Subscribe($topic: WebhookSubscriptionTopic!, $subscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $subscription) {
+        webhookSubscription { id }
+        userErrors { field message }
+      }
+    }
+  `, { topic: topicEnum(topic), subscription: { callbackUrl: address, format: 'JSON' } });
+
+  assertNoUserErrors('webhookSubscriptionCreate', data.webhookSubscriptionCreate);
+}
+
+async function updateSubscription(id, address) {
+  const data = await currentShop().shopify.graphql(`
+    mutation Readdress($id: ID!, $subscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionUpdate(id: $id, webhookSubscription: $subscription) {
+        webhookSubscription { id }
+        userErrors { field message }
+      }
+    }
+  `, { id, subscription: { callbackUrl: address } });
+
+  assertNoUserErrors('webhookSubscriptionUpdate', data.webhookSubscriptionUpdate);
+}
+
+async function deleteSubscription(id) {
+  const data = await currentShop().shopify.graphql(`
+    mutation Unsubscribe($id: ID!) {
+      webhookSubscriptionDelete(id: $id) {
+        deletedWebhookSubscriptionId
+        userErrors { field message }
+      }
+    }
+  `, { id });
+
+  assertNoUserErrors('webhookSubscriptionDelete', data.webhookSubscriptionDelete);
+}
+
+// Remember which topics are still not subscribed as they should be
+function recordStatus(missing, error = null) {
+  const entry = { checkedAt: new Date().toISOString(), missing, error };
+  status.set(currentShop().domain, entry);
+  return entry;
+}
+
+// Bring the current shop's subscriptions in line with WEBHOOK_TOPICS.
+// With dryRun only the check is done. A topic that fails is reported and
+// the others still go ahead.
+export async function syncSubscriptions({ dryRun = false, appUrl = APP_URL } = {}) {
+  if (!appUrl) {
+    throw Object.assign(new Error('APP_URL not configured - cannot tell where webhooks should go'), { status: 400 });
+  }
+
+  let plan;
+  try {
+    plan = await planSubscriptions(appUrl);
+  } catch (error) {
+    recordStatus(WEBHOOK_TOPICS, error.message);
+    throw error;
+  }
+
+  if (dryRun) {
+    recordStatus(plan.filter(step => step.action !== 'ok').map(step => step.topic));
+    return { dryRun: true, results: plan };
+  }
+
+  const results = [];
+  for (const step of plan) {
+    const address = callbackUrl(appUrl, step.topic);
+    try {
+      if (step.action === 'create') {
+        await createSubscription(step.topic, address);
+      } else if (step.action === 'update') {
+        await updateSubscription(step.existing.id, address);
+      } else if (step.action === 'recreate') {
+        await deleteSubscription(step.existing.id);
+        await createSubscription(step.topic, address);
+      }
+
+      if (step.action !== 'ok') {
+        log('info', `Webhook ${step.topic}: ${step.action}d (${step.reason})`);
+      }
+      results.push(step);
+    } catch (error) {
+      log('error', `Webhook ${step.topic}: ${step.action} failed: ${error.message}`);
+      results.push({ ...step, error: error.message });
+    }
+  }
+
+  const failed = results.filter(result => result.error).map(result => result.topic);
+  recordStatus(failed, failed.length > 0 ? `Sync failed for ${failed.join(', ')}` : null);
+  return { dryRun: false, results };
+}
+
+// Last check or sync per shop, as reported by /health
+export function getSubscriptionStatus() {
+  return Object.fromEntries(status);
+}
+
+// Forget a shop's status, e.g. when it uninstalls the app
+export function clearSubscriptionStatus(domain) {
+  status.delete(domain);
+}
@@ -0,0 +1,185 @@
+/**
+ * Webhook Dispatch
+ * ================
+ *
+ * Single entry point for every Shopify webhook topic. Each delivery to
+ * POST /webhooks/<resource>/<event> is verified, parsed, checked against
+ * the delivery ledger and recorded before it reaches the handler for its
+ * topic, so handlers only deal with the payload. The delivery is routed by
+ * X-Shopify-Shop-Domain to its shop, whose secret verifies it and in whose
+ * context the handler runs.
+ *
+ * Authentication has two modes. By default a delivery with a bad
+ * signature is rejected, but unsigned deliveries are let through, and
+ * everything is let through when no secret is set. Strict mode
+ * (WEBHOOK_STRICT=true) rejects unsigned deliveries, deliveries that do not
+ * name their shop and deliveries from shops outside WEBHOOK_ALLOWED_SHOPS
+ * (when set). It also rejects deliveries whose
+ * X-Shopify-Triggered-At is older than WEBHOOK_MAX_AGE_SECONDS. In both
+ * modes a shop's previous secret is accepted next to its current one, so
+ * a secret can be rotated without dropping deliveries.
+ *
+ * With WEBHOOK_CAPTURE=true each verified delivery is also stored,
+ * redacted, for replay.js (see captures.js).
+ *
+ * A topic handler is { orderId(payload), handle(payload, { delivery, topic }) };
+ * orderId returns null for topics that are not about an order.
+ * handle() resolves to { status, message }: status is the delivery's final
+ * ledger status, or null when the handler queued work that will settle it
+ * later; message is sent back to Shopify.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { DELIVERY_STATUS, isDuplicateDelivery, recordDelivery, updateDelivery } from './ledger.js';
+import { resolveShop } from './shops.js';
+import { captureDelivery } from './captures.js';
+import { raiseAlert } from './alerts.js';
+import { currentShop, runWithShop } from './context.js';
+
+const STRICT_DEFAULT_MAX_AGE_SECONDS = 3600;
+
+// Webhook authentication settings from the environment. Secrets are per
+// shop; deliveries for shops that are not served are always rejected.
+export function webhookAuthFromEnv() {
+  const strict = process.env.WEBHOOK_STRICT === 'true';
+  const allowedShops = (process.env.WEBHOOK_ALLOWED_SHOPS || '')
+    .split(',')
+    .map(shop => shop.trim().toLowerCase())
+    .filter(Boolean);
+  const maxAgeSeconds = process.env.WEBHOOK_MAX_AGE_SECONDS !== undefined
+    ? parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS, 10) || 0
+    : (strict ? STRICT_DEFAULT_MAX_AGE_SECONDS : 0);
+
+  return {
+    strict,
+    allowedShops,
+    maxAgeSeconds
+  };
+}
+
+// Check a delivery's X-Shopify-Hmac-Sha256 against the raw body
+export function verifyWebhook(secret, data, signature) {
+  const calculated = crypto.createHmac('sha256', secret).update(data).digest();
+  const provided = Buffer.from(signature, 'base64');
+
+  return provided.length === calculated.length && crypto.timingSafeEqual(provided, calculated);
+}
+
+// Why a delivery fails authentication, or null when it passes
+export function authenticateWebhook(req, { secrets = [], strict = false, allowedShops = [], maxAgeSeconds = 0 }, now = Date.now()) {
+  const signature = req.get('X-Shopify-Hmac-Sha256');
+  // express.raw leaves req.body as {} for other content types
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  if (secrets.length === 0) {
+    if (strict) {
+      return 'No webhook secret configured';
+    }
+    log('warn', 'Webhook secret not configured - skipping verification');
+  } else if (!signature) {
+    if (strict) {
+      return 'Missing signature';
+    }
+    log('warn', 'Unsigned webhook accepted - enable WEBHOOK_STRICT to reject these');
+  } else if (!secrets.some(secret => verifyWebhook(secret, body, signature))) {
+    return 'Invalid signature';
+  }
+
+  if (allowedShops.length > 0) {
+    const shop = (req.get('X-Shopify-Shop-Domain') || '').toLowerCase();
+    if (!allowedShops.includes(shop)) {
+      return `Shop ${shop || '(none)'} not allowed`;
+    }
+  }
+
+  if (maxAgeSeconds > 0) {
+    const triggeredAt = Date.parse(req.get('X-Shopify-Triggered-At'));
+    if (Number.isNaN(triggeredAt)) {
+      if (strict) {
+        return 'Missing X-Shopify-Triggered-At';
+      }
+    } else if (now - triggeredAt > maxAgeSeconds * 1000) {
+      return `Delivery triggered at ${new Date(triggeredAt).toISOString()} is older than ${maxAgeSeconds}s`;
+    }
+  }
+
+  return null;
+}
+
+// Build the /webhooks router for a map of topic -> handler, authenticated
+// with the settings from webhookAuthFromEnv(). Bodies must reach it raw
+// (express.raw) so the signature can be checked.
+export function createWebhookRouter({ auth, handlers }) {
+  const router = express.Router();
+
+  // Route the delivery to its shop. Without X-Shopify-Shop-Domain only a
+  // lone configured shop can be meant, and only outside strict mode.
+  router.post('/:resource/:event', (req, res, next) => {
+    const domain = req.get('X-Shopify-Shop-Domain');
+    let shop;
+    try {
+      if (auth.strict && !domain) {
+        throw new Error('Missing X-Shopify-Shop-Domain');
+      }
+      shop = resolveShop(domain);
+    } catch (error) {
+      log('error', `Webhook rejected: ${error.message}`);
+      return res.status(401).send('Unauthorized');
+    }
+    runWithShop(shop, next);
+  }, async (req, res) => {
+    const topic = `${req.params.resource}/${req.params.event}`;
+    const handler = handlers[topic];
+    let delivery = null;
+
+    if (!handler) {
+      log('warn', `Webhook for unsupported topic ${topic}`);
+      return res.status(404).send('Unsupported topic');
+    }
+
+    try {
+      const rejection = authenticateWebhook(req, { ...auth, secrets: currentShop().webhookSecrets });
+      if (rejection) {
+        log('error', `Webhook ${topic} rejected: ${rejection}`);
+        return res.status(401).send('Unauthorized');
+      }
+
+      const payload = JSON.parse(req.body.toString());
+      const orderId = handler.orderId(payload);
+      const webhookId = req.get('X-Shopify-Webhook-Id');
+
+      // Acknowledge Shopify's retries of a delivery we already handled
+      if (webhookId && isDuplicateDelivery(webhookId)) {
+        log('info', `Duplicate ${topic} delivery ${webhookId} for order ${orderId} - acknowledged without changes`);
+        return res.status(200).send('Duplicate delivery');
+      }
+
+      delivery = recordDelivery({ webhookId, orderId, topic });
+      captureDelivery(req, { topic, orderId, payload });
+
+      const { status, message } = await handler.handle(payload, { delivery, topic });
+      if (status) {
+        updateDelivery(delivery.key, status, status === DELIVERY_STATUS.SPLIT ? null : message);
+      }
+
+      res.status(200).send(message);
+
+    } catch (error) {
+      log('error', `Webhook ${topic} processing failed: ${error.message}`, { error });
+      if (delivery) {
+        updateDelivery(delivery.key, DELIVERY_STATUS.FAILED, error.message);
+      }
+      res.status(500).send('Internal server error');
+
+      await raiseAlert(
+        'webhook-failed',
+        `${topic} delivery${delivery && delivery.orderId ? ` for order ${delivery.orderId}` : ''} failed: ${error.message}`,
+        { topic, orderId: delivery && delivery.orderId, webhookId: delivery && delivery.webhookId }
+      );
+    }
+  });
+
+  return router;
+}
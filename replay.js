@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Replay Script for Shopify Order Splitter
+ * ================================================
+ *
+ * Sends a captured webhook delivery (WEBHOOK_CAPTURE=true) to a local or
+ * staging instance, re-signed with that instance's secret, and reports
+ * how it was handled. With --dry-run it only asks the instance how it
+ * would split the order, so the result can be compared before and after
+ * a mapping change.
+ * Run with: node replay.js --capture <id> --from https://your-app.railway.app
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import fs from 'fs';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 60000;
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    warning: '\x1b[33m', // Yellow
+    error: '\x1b[31m',   // Red
+    reset: '\x1b[0m'     // Reset
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Value following a command line flag
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+async function callAdmin(baseUrl, shop, path, method = 'GET', data = null) {
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+    }
+  };
+
+  if (shop) {
+    options.headers['X-Shop-Domain'] = shop;
+  }
+
+  if (data) {
+    options.body = JSON.stringify(data);
+  }
+
+  const response = await fetch(`${baseUrl}/admin${path}`, options);
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.errors ? result.errors.join('; ') : result.error || `HTTP ${response.status}`);
+  }
+
+  return result;
+}
+
+// The capture to replay: from a file, or from a service's admin API
+async function loadCapture(args) {
+  const file = option(args, '--file');
+  if (file) {
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return document.capture || document;
+  }
+
+  const id = option(args, '--capture');
+  if (!id) {
+    throw new Error('Pass --capture <id> or --file <path>');
+  }
+
+  const from = option(args, '--from') || process.env.TEST_URL || 'http://localhost:3000';
+  const { capture } = await callAdmin(from, option(args, '--from-shop'), `/captures/${encodeURIComponent(id)}`);
+  return capture;
+}
+
+function printLineItems(lineItems) {
+  for (const item of lineItems) {
+    const origin = item.bundle_line_item_id ? ` (from line ${item.bundle_line_item_id})` : '';
+    log(`   ${item.quantity} x ${item.sku} @ ${item.price}${origin}`);
+  }
+}
+
+// Show how the target would split the captured order, without splitting it
+async function previewSplit(baseUrl, shop, capture) {
+  const result = await callAdmin(baseUrl, shop, '/dry-run', 'POST', { order: capture.payload });
+
+  log(`Mapping version ${result.mappingVersion}: ${result.hasChanges ? 'order would be split' : 'nothing to split'}`, 'success');
+  printLineItems(result.newLineItems);
+  for (const shortage of result.unavailable) {
+    log(`   ⚠️  ${shortage.sku}: ${shortage.required} needed, ${shortage.available} available`, 'warning');
+  }
+  return result;
+}
+
+// Send the capture to the target's webhook route, signed with its secret
+async function deliver(baseUrl, shop, capture, secret) {
+  const webhookId = `replay-${crypto.randomUUID()}`;
+  const body = JSON.stringify(capture.payload);
+  const headers = {
+    ...capture.headers,
+    'Content-Type': 'application/json',
+    'X-Shopify-Topic': capture.topic,
+    'X-Shopify-Webhook-Id': webhookId,
+    'X-Shopify-Triggered-At': new Date().toISOString()
+  };
+
+  if (shop) {
+    headers['X-Shopify-Shop-Domain'] = shop;
+  }
+
+  if (secret) {
+    headers['X-Shopify-Hmac-Sha256'] = crypto.createHmac('sha256', secret).update(body).digest('base64');
+  } else {
+    log('⚠️  No secret given - sending the delivery unsigned', 'warning');
+  }
+
+  const response = await fetch(`${baseUrl}/webhooks/${capture.topic}`, { method: 'POST', headers, body });
+  return { webhookId, status: response.status, message: await response.text() };
+}
+
+// Wait for the replayed delivery to settle in the target's ledger
+async function followDelivery(baseUrl, shop, capture, webhookId) {
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const { deliveries } = await callAdmin(baseUrl, shop, `/ledger?orderId=${encodeURIComponent(capture.orderId)}`);
+    const delivery = deliveries.find(entry => entry.key === webhookId);
+
+    if (delivery && delivery.status !== 'received') {
+      log(`   Delivery ${delivery.status}${delivery.message ? `: ${delivery.message}` : ''}`,
+        delivery.status === 'failed' ? 'error' : 'success');
+      return delivery;
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  log(`   Delivery still queued after ${POLL_TIMEOUT_MS / 1000}s - check /admin/ledger`, 'warning');
+  return null;
+}
+
+async function replay(args) {
+  const target = option(args, '--url') || process.env.TEST_URL || 'http://localhost:3000';
+  const capture = await loadCapture(args);
+  const shop = option(args, '--shop') || capture.shop;
+
+  log(`📼 Capture ${capture.id}: ${capture.topic} for order ${capture.orderId} (${capture.shop}, ${capture.capturedAt})`);
+
+  const save = option(args, '--save');
+  if (save) {
+    fs.writeFileSync(save, JSON.stringify(capture, null, 2) + '\n');
+    log(`💾 Saved to ${save}`, 'success');
+    if (!option(args, '--url')) {
+      return;
+    }
+  }
+
+  if (args.includes('--dry-run')) {
+    if (!process.env.ADMIN_TOKEN) {
+      log('❌ ADMIN_TOKEN not configured - needed for --dry-run', 'error');
+      process.exit(1);
+    }
+    log(`🔍 Dry run against ${target} - nothing will be changed`);
+    await previewSplit(target, shop, capture);
+    return;
+  }
+
+  log(`🔁 Replaying to ${target}/webhooks/${capture.topic}`);
+  const { webhookId, status, message } = await deliver(target, shop, capture, option(args, '--secret') || process.env.WEBHOOK_SECRET);
+  log(`   HTTP ${status}: ${message}`, status === 200 ? 'success' : 'error');
+
+  if (status !== 200) {
+    process.exit(1);
+  }
+
+  if (process.env.ADMIN_TOKEN && capture.orderId) {
+    const delivery = await followDelivery(target, shop, capture, webhookId);
+    if (delivery && delivery.status === 'failed') {
+      process.exit(1);
+    }
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Shopify Order Splitter Replay Script
+====================================
+
+Usage: node replay.js (--capture <id> | --file <path>) [options]
+
+Options:
+  --help, -h            Show this help message
+  --capture <id>        Capture to fetch from a service's /admin/captures API
+  --from <url>          Service holding the capture (default: TEST_URL or http://localhost:3000)
+  --from-shop <domain>  Shop the capture belongs to when that service serves several
+  --file <path>         Replay a capture saved with --save instead
+  --save <path>         Save the capture to a file (and stop, unless --url is given)
+  --url <url>           Instance to replay to (default: TEST_URL or http://localhost:3000)
+  --shop <domain>       Shop domain to deliver as (default: the capture's shop)
+  --secret <secret>     Secret to sign with (default: WEBHOOK_SECRET)
+  --dry-run             Only show how the instance would split the order
+
+Environment Variables:
+  TEST_URL              Service URL (default: http://localhost:3000)
+  ADMIN_TOKEN           Admin token, to fetch captures, follow the replay and for --dry-run
+  WEBHOOK_SECRET        The target instance's webhook secret
+
+Replaying for real edits the order in the target instance's store, so
+point it at a development store or use --dry-run.
+
+Examples:
+  node replay.js --capture 6f1c... --from https://your-app.railway.app --save order.json
+  node replay.js --file order.json --dry-run     # Split with the local mappings
+  node replay.js --file order.json               # Deliver to the local instance
+`);
+  process.exit(0);
+}
+
+replay(args).catch(error => {
+  log(`❌ Replay failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -8,15 +8,17 @@
  * Run with: node test.js
  */
 
+// Load environment variables before any module reads them
+import 'dotenv/config';
 import fetch from 'node-fetch';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import crypto from 'crypto';
+import { createShopifyClient } from './lib/shopify.js';
 
 const BASE_URL = process.env.TEST_URL || 'http://localhost:3000';
 const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
 const ADMIN_API_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
 function log(message, type = 'info') {
   const colors = {
@@ -30,15 +32,25 @@ function log(message, type = 'info') {
   console.log(`${colors[type]}${message}${colors.reset}`);
 }
 
-async function testEndpoint(url, method = 'GET', data = null) {
+async function testEndpoint(url, method = 'GET', data = null, headers = {}) {
   try {
     const options = {
       method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...headers
       }
     };
     
+    if (ADMIN_TOKEN) {
+      options.headers['Authorization'] = `Bearer ${ADMIN_TOKEN}`;
+    }
+    
+    // Selects the shop when the service serves several
+    if (SHOPIFY_STORE) {
+      options.headers['X-Shop-Domain'] = SHOPIFY_STORE;
+    }
+    
     if (data) {
       options.body = JSON.stringify(data);
     }
@@ -62,15 +74,12 @@ async function testEndpoint(url, method = 'GET', data = null) {
 
 async function getRecentOrders() {
   try {
-    const url = `https://${SHOPIFY_STORE}/admin/api/2024-01/orders.json?limit=5&status=any`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'X-Shopify-Access-Token': ADMIN_API_ACCESS_TOKEN
-      }
+    const shopify = createShopifyClient({
+      store: SHOPIFY_STORE,
+      accessToken: ADMIN_API_ACCESS_TOKEN
     });
     
-    const result = await response.json();
+    const result = await shopify.request('orders.json?limit=5&status=any');
     return result.orders || [];
   } catch (error) {
     log(`Error fetching orders: ${error.message}`, 'error');
@@ -104,6 +113,22 @@ async function runTests() {
     return;
   }
   
+  // Readiness: can the service split orders right now?
+  const readyResult = await testEndpoint(`${BASE_URL}/health/ready`);
+  try {
+    const readyData = JSON.parse(readyResult.data);
+    log(`   Readiness: ${readyData.status}`, readyResult.ok ? 'success' : 'warning');
+    for (const [domain, checks] of Object.entries(readyData.checks.shops)) {
+      for (const [name, check] of Object.entries(checks)) {
+        if (check.status !== 'pass') {
+          log(`   ${check.status === 'fail' ? '❌' : '⚠️ '} ${domain} ${name}: ${check.error || check.status}`, check.status === 'fail' ? 'error' : 'warning');
+        }
+      }
+    }
+  } catch (e) {
+    log(`   Readiness response: ${readyResult.error || readyResult.data}`, 'warning');
+  }
+  
   // Test 2: Configuration Check
   log('\nTest 2: Configuration Check', 'info');
   log('---------------------------');
@@ -192,7 +217,19 @@ async function runTests() {
     ]
   };
   
-  const webhookResult = await testEndpoint(`${BASE_URL}/webhooks/orders/create`, 'POST', mockOrder);
+  // Sign the delivery like Shopify does, so it also passes strict mode
+  const webhookHeaders = {
+    'X-Shopify-Shop-Domain': SHOPIFY_STORE,
+    'X-Shopify-Triggered-At': new Date().toISOString()
+  };
+  if (WEBHOOK_SECRET) {
+    webhookHeaders['X-Shopify-Hmac-Sha256'] = crypto
+      .createHmac('sha256', WEBHOOK_SECRET)
+      .update(JSON.stringify(mockOrder))
+      .digest('base64');
+  }
+  
+  const webhookResult = await testEndpoint(`${BASE_URL}/webhooks/orders/create`, 'POST', mockOrder, webhookHeaders);
   if (webhookResult.ok) {
     log('✅ Webhook simulation successful', 'success');
     log(`   Response: ${webhookResult.data}`);
@@ -233,6 +270,9 @@ Environment Variables:
   TEST_URL              Base URL to test (default: http://localhost:3000)
   SHOPIFY_STORE         Your Shopify store domain
   SHOPIFY_ACCESS_TOKEN  Your Shopify Admin API access token
+  SHOPIFY_API_VERSION   Admin API version (default: 2024-01)
+  ADMIN_TOKEN           Admin token for the manual processing route
+  WEBHOOK_SECRET        Secret used to sign the simulated webhook
 
 Examples:
   node test.js                                    # Test local service
@@ -0,0 +1,57 @@
+import { loadTestShop } from './helpers/setup.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const alertFile = path.join(process.env.DATA_DIR, 'alerts.jsonl');
+
+let alerts;
+
+// Alerts written to the file channel so far
+function written() {
+  return fs.existsSync(alertFile)
+    ? fs.readFileSync(alertFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+}
+
+before(async () => {
+  // Channels and throttling are read from the environment when the module loads
+  process.env.ALERT_FILE = alertFile;
+  process.env.ALERT_THROTTLE_SECONDS = '60';
+  await loadTestShop();
+  alerts = await import('../lib/alerts.js');
+});
+
+describe('raiseAlert', () => {
+  it('writes an alert to the file channel with its shop', async () => {
+    await alerts.raiseAlert('split-failed', 'Order #1001 could not be split', { orderId: 1001 });
+
+    const [alert] = written();
+    assert.equal(alert.event, 'split-failed');
+    assert.equal(alert.shop, 'test-shop.myshopify.com');
+    assert.deepEqual(alert.details, { orderId: 1001 });
+    assert.equal(alert.suppressed, 0);
+  });
+
+  it('throttles repeats of an event but not other events', async () => {
+    await alerts.raiseAlert('split-failed', 'Order #1002 could not be split');
+    await alerts.raiseAlert('split-failed', 'Order #1003 could not be split');
+    await alerts.raiseAlert('order-unsplit', 'Order #1004 is still unsplit');
+
+    assert.deepEqual(written().map(alert => alert.event), ['split-failed', 'order-unsplit']);
+  });
+
+  it('survives a channel that fails', async () => {
+    const received = [];
+    alerts.registerAlertChannel('broken', async () => {
+      throw new Error('SMTP server down');
+    });
+    alerts.registerAlertChannel('memory', async alert => received.push(alert));
+
+    await alerts.raiseAlert('component-unresolved', 'No product variant found for component SKU X');
+
+    assert.equal(received.length, 1);
+    assert.equal(written().length, 3);
+  });
+});
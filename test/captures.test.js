@@ -0,0 +1,61 @@
+import { TEST_SHOP, fixture, loadTestShop, request } from './helpers/setup.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const orders = fixture('orders.json');
+
+let captures;
+
+const SIGNED = {
+  'X-Shopify-Hmac-Sha256': 'c2lnbmF0dXJl',
+  'X-Shopify-Topic': 'orders/create',
+  'X-Shopify-Shop-Domain': TEST_SHOP,
+  'X-Shopify-Webhook-Id': 'webhook-1'
+};
+
+before(async () => {
+  // Capturing is read from the environment when the module loads
+  process.env.WEBHOOK_CAPTURE = 'true';
+  process.env.WEBHOOK_CAPTURE_LIMIT = '2';
+  await loadTestShop();
+  captures = await import('../lib/captures.js');
+});
+
+describe('captureDelivery', () => {
+  it('stores a signed delivery with its payload redacted and no signature', () => {
+    const capture = captures.captureDelivery(request(SIGNED), {
+      topic: 'orders/create',
+      orderId: 1001,
+      payload: orders.multiBundle
+    });
+
+    const stored = captures.getCapture(capture.id);
+    assert.equal(stored.orderId, '1001');
+    assert.equal(stored.webhookId, 'webhook-1');
+    assert.equal(stored.headers['X-Shopify-Hmac-Sha256'], undefined);
+    assert.equal(stored.payload.email, '[REDACTED]');
+    assert.equal(stored.payload.shipping_address.first_name, '[REDACTED]');
+    assert.equal(stored.payload.shipping_address.country_code, 'US');
+    assert.deepEqual(stored.payload.line_items, orders.multiBundle.line_items);
+  });
+
+  it('skips unsigned deliveries', () => {
+    const { 'X-Shopify-Hmac-Sha256': signature, ...unsigned } = SIGNED;
+    assert.equal(captures.captureDelivery(request(unsigned), { topic: 'orders/create', orderId: 1, payload: {} }), null);
+  });
+
+  it('keeps only the newest WEBHOOK_CAPTURE_LIMIT captures, listed without payloads', async () => {
+    for (const order of [orders.multiQuantity, orders.discounted]) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      captures.captureDelivery(request(SIGNED), { topic: 'orders/create', orderId: order.id, payload: order });
+    }
+
+    const listed = captures.listCaptures();
+    assert.deepEqual(listed.map(capture => capture.orderId), ['1003', '1002']);
+    assert.equal(listed[0].payload, undefined);
+    assert.deepEqual(captures.listCaptures({ orderId: 1002 }).map(capture => capture.orderId), ['1002']);
+
+    assert.equal(captures.clearCaptures(), 2);
+    assert.deepEqual(captures.listCaptures(), []);
+  });
+});
@@ -0,0 +1,74 @@
+import { fixture, loadTestShop } from './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockShopify } from './helpers/mock-shopify.js';
+
+let shopify;
+let catalog;
+
+before(async () => {
+  shopify = await startMockShopify({ variants: fixture('variants.json') });
+  await loadTestShop({ apiUrl: shopify.url });
+  catalog = await import('../lib/catalog.js');
+});
+
+after(() => shopify.close());
+
+describe('findVariants', () => {
+  it('looks up uncached SKUs once and converts their weights to grams', async () => {
+    const variants = await catalog.findVariants(['CANDLE_BUNDLE', 'BATTERY_ITEM', 'NO_SUCH_SKU']);
+    assert.deepEqual(Object.keys(variants), ['CANDLE_BUNDLE', 'BATTERY_ITEM']);
+    assert.equal(variants.CANDLE_BUNDLE.variantId, 'gid://shopify/ProductVariant/501');
+    assert.equal(variants.CANDLE_BUNDLE.productId, 'gid://shopify/Product/50');
+    assert.equal(variants.CANDLE_BUNDLE.grams, 227);
+    assert.equal(variants.BATTERY_ITEM.grams, 300);
+
+    const lookups = shopify.calls('VariantsBySku').length;
+    await catalog.resolveVariant('CANDLE_BUNDLE');
+    assert.equal(shopify.calls('VariantsBySku').length, lookups);
+
+    await assert.rejects(catalog.resolveVariant('NO_SUCH_SKU'), /No product variant found for component SKU NO_SUCH_SKU/);
+  });
+});
+
+describe('updateCatalogFromProduct', () => {
+  it('refreshes mapped variants of an updated product and ignores the rest', () => {
+    const changed = catalog.updateCatalogFromProduct({
+      id: 50,
+      admin_graphql_api_id: 'gid://shopify/Product/50',
+      variants: [
+        { id: 501, sku: 'CANDLE_BUNDLE', price: '27.00', grams: 250, requires_shipping: true },
+        { id: 599, sku: 'UNMAPPED_SKU', price: '1.00', grams: 10 }
+      ]
+    });
+
+    assert.deepEqual(changed, ['CANDLE_BUNDLE']);
+    const entry = catalog.cachedVariants().CANDLE_BUNDLE;
+    assert.equal(entry.price, '27.00');
+    assert.equal(entry.grams, 250);
+    assert.equal(entry.variantId, 'gid://shopify/ProductVariant/501');
+    assert.equal(catalog.cachedVariants().UNMAPPED_SKU, undefined);
+  });
+
+  it('drops an entry whose SKU the product no longer has', () => {
+    const changed = catalog.updateCatalogFromProduct({
+      id: 51,
+      variants: [{ id: 502, sku: 'BATTERY_ITEM_V2', price: '20.00', weight: 0.3, weight_unit: 'kg' }]
+    });
+
+    assert.deepEqual(changed, ['BATTERY_ITEM']);
+    assert.equal(catalog.cachedVariants().BATTERY_ITEM, undefined);
+  });
+});
+
+describe('syncCatalog', () => {
+  it('refreshes every mapped SKU and reports the ones with no variant', async () => {
+    const { synced, missing } = await catalog.syncCatalog();
+
+    assert.deepEqual(missing, []);
+    assert.equal(synced, 5);
+    assert.equal(catalog.cachedVariants().CANDLE_BUNDLE.price, '25.00');
+    assert.equal(catalog.getCatalog().variants.length, 5);
+    assert.ok(catalog.getCatalog().syncedAt);
+  });
+});
@@ -0,0 +1,44 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeEnv, parseEnv } from '../lib/envfile.js';
+
+const EXISTING = `# Shopify Store Configuration
+SHOPIFY_STORE=old-store.myshopify.com
+SHOPIFY_ACCESS_TOKEN=shpat_existing # pasted from the admin
+
+# Something config.js does not know about
+CUSTOM_SETTING='keep me'
+`;
+
+describe('parseEnv', () => {
+  it('reads plain, quoted and commented values', () => {
+    assert.deepEqual(parseEnv(`${EXISTING}export QUOTED="a \\"b\\" c"\n`), {
+      SHOPIFY_STORE: 'old-store.myshopify.com',
+      SHOPIFY_ACCESS_TOKEN: 'shpat_existing',
+      CUSTOM_SETTING: 'keep me',
+      QUOTED: 'a "b" c'
+    });
+  });
+});
+
+describe('mergeEnv', () => {
+  it('rewrites changed keys in place and keeps every other line', () => {
+    const merged = mergeEnv(EXISTING, { SHOPIFY_STORE: 'new-store.myshopify.com' });
+    assert.equal(merged, EXISTING.replace('old-store', 'new-store'));
+  });
+
+  it('appends new keys after a blank line, quoting values that need it', () => {
+    const merged = mergeEnv(EXISTING.trimEnd(), { PORT: 8080, APP_URL: 'https://example.com/app', NOTE: 'two words' });
+    assert.equal(merged, `${EXISTING}\nPORT=8080\nAPP_URL=https://example.com/app\nNOTE="two words"\n`);
+    assert.equal(parseEnv(merged).NOTE, 'two words');
+  });
+
+  it('rewrites the last of a repeated key, the one dotenv reads', () => {
+    assert.equal(mergeEnv('PORT=1\nPORT=2\n', { PORT: 3 }), 'PORT=1\nPORT=3\n');
+  });
+
+  it('creates a document from nothing', () => {
+    assert.equal(mergeEnv('', { SHOPIFY_STORE: 'shop.myshopify.com' }), 'SHOPIFY_STORE=shop.myshopify.com\n');
+  });
+});
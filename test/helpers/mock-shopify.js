@@ -0,0 +1,284 @@
+/**
+ * Mock Shopify Admin API
+ * ======================
+ *
+ * Local stand-in for the parts of the Admin API the splitter uses, so
+ * the webhook route can be exercised end to end with no network:
+ *
+ *   GET  /admin/api/<version>/orders/<id>.json
+ *   POST /admin/api/<version>/graphql.json
+ *
+ * GraphQL documents are answered by operation name (VariantsBySku,
+ * BeginEdit, AddVariant, ...), not parsed. Order edits are modelled on the
+ * real flow: a calculated order collects changes and only the commit
+ * applies them to the stored order, which the REST endpoint and the
+ * VerifyOrder query then read back. Each order has one fulfillment order,
+ * open until it is put on hold.
+ *
+ * Every GraphQL call is kept in `operations` for assertions, and
+ * failNext(operation, message, times) makes the next calls of an
+ * operation return top-level errors.
+ */
+
+import express from 'express';
+
+function gid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+function idOf(globalId) {
+  return String(globalId).split('/').pop();
+}
+
+// SKUs named in a productVariants search such as sku:"A" OR sku:"B"
+function searchedSkus(query) {
+  return [...String(query).matchAll(/sku:("(?:[^"\\]|\\.)*"|\S+)/g)]
+    .map(([, sku]) => (sku.startsWith('"') ? JSON.parse(sku) : sku));
+}
+
+// Order total as Shopify reports it, from its current line quantities.
+// Line discounts count for the units still on the line; shipping and
+// taxes are not modelled.
+function orderTotal(order) {
+  const cents = order.line_items.reduce((sum, item) => {
+    const current = item.current_quantity ?? item.quantity;
+    const discount = (item.discount_allocations || [])
+      .reduce((total, allocation) => total + Math.round(parseFloat(allocation.amount) * 100), 0);
+    return sum + Math.round(parseFloat(item.price) * 100) * current - Math.round(discount * current / item.quantity);
+  }, 0);
+  return { shopMoney: { amount: (cents / 100).toFixed(2) } };
+}
+
+// Start the mock on a free local port
+export async function startMockShopify({ orders = [], variants = [], shopName = 'Test Shop' } = {}) {
+  const state = {
+    orders: new Map(orders.map(order => [String(order.id), structuredClone(order)])),
+    variants,
+    edits: new Map(),
+    tags: new Map(),
+    fulfillmentOrders: new Map(),
+    metafields: [],
+    operations: [],
+    failures: new Map()
+  };
+  let nextLineItemId = 9000;
+
+  function findOrder(globalId) {
+    return state.orders.get(idOf(globalId)) || null;
+  }
+
+  // The fulfillment orders of an order, created open on first use
+  function fulfillmentOrdersOf(orderId) {
+    if (!state.fulfillmentOrders.has(orderId)) {
+      state.fulfillmentOrders.set(orderId, [{ id: gid('FulfillmentOrder', orderId), status: 'OPEN', fulfillmentHolds: [] }]);
+    }
+    return state.fulfillmentOrders.get(orderId);
+  }
+
+  function findFulfillmentOrder(globalId) {
+    return fulfillmentOrdersOf(idOf(globalId))[0];
+  }
+
+  function addTags(orderId, tags) {
+    const current = state.tags.get(orderId) || new Set();
+    tags.forEach(tag => current.add(tag));
+    state.tags.set(orderId, current);
+  }
+
+  const resolvers = {
+    Ready: () => ({ shop: { name: shopName } }),
+
+    VariantsBySku: ({ query }) => {
+      const skus = searchedSkus(query);
+      return { productVariants: { nodes: variants.filter(variant => skus.includes(variant.sku)) } };
+    },
+
+    BeginEdit: ({ id }) => {
+      const order = findOrder(id);
+      if (!order) {
+        return { orderEditBegin: { calculatedOrder: null, userErrors: [{ field: ['id'], message: 'Order not found' }] } };
+      }
+
+      const edit = {
+        id: gid('CalculatedOrder', order.id),
+        orderId: String(order.id),
+        lineItems: order.line_items.map(item => ({
+          id: gid('CalculatedLineItem', item.id),
+          sku: item.sku,
+          quantity: item.current_quantity ?? item.quantity
+        })),
+        discounts: []
+      };
+      state.edits.set(edit.id, edit);
+
+      return {
+        orderEditBegin: {
+          calculatedOrder: {
+            id: edit.id,
+            originalOrder: { currencyCode: 'USD', currentTotalPriceSet: orderTotal(order) },
+            lineItems: { edges: edit.lineItems.map(node => ({ node: { ...node } })) }
+          },
+          userErrors: []
+        }
+      };
+    },
+
+    AddVariant: ({ id, variantId, quantity }) => {
+      const edit = state.edits.get(id);
+      const variant = variants.find(candidate => candidate.id === variantId);
+      if (!variant) {
+        return { orderEditAddVariant: { calculatedLineItem: null, userErrors: [{ field: ['variantId'], message: 'Variant not found' }] } };
+      }
+
+      const line = { id: gid('CalculatedLineItem', nextLineItemId++), sku: variant.sku, quantity, variant, added: true };
+      edit.lineItems.push(line);
+      return { orderEditAddVariant: { calculatedLineItem: { id: line.id }, userErrors: [] } };
+    },
+
+    SetQuantity: ({ id, lineItemId, quantity }) => {
+      const line = state.edits.get(id).lineItems.find(candidate => candidate.id === lineItemId);
+      if (!line) {
+        return { orderEditSetQuantity: { calculatedOrder: null, userErrors: [{ field: ['lineItemId'], message: 'Line item not found' }] } };
+      }
+
+      line.quantity = quantity;
+      return { orderEditSetQuantity: { calculatedOrder: { id }, userErrors: [] } };
+    },
+
+    AddDiscount: ({ id, lineItemId, discount }) => {
+      state.edits.get(id).discounts.push({ lineItemId, amount: discount.fixedValue.amount });
+      return { orderEditAddLineItemDiscount: { calculatedLineItem: { id: lineItemId }, userErrors: [] } };
+    },
+
+    CommitEdit: ({ id, staffNote }) => {
+      const edit = state.edits.get(id);
+      const order = state.orders.get(edit.orderId);
+
+      for (const line of edit.lineItems) {
+        if (line.added) {
+          const discount = edit.discounts.find(entry => entry.lineItemId === line.id);
+          const unitCents = Math.round(parseFloat(line.variant.price) * 100) -
+            Math.round(parseFloat(discount ? discount.amount : 0) * 100);
+          order.line_items.push({
+            id: Number(idOf(line.id)),
+            variant_id: Number(idOf(line.variant.id)),
+            sku: line.sku,
+            quantity: line.quantity,
+            current_quantity: line.quantity,
+            fulfillable_quantity: line.quantity,
+            price: (unitCents / 100).toFixed(2)
+          });
+        } else {
+          const item = order.line_items.find(candidate => String(candidate.id) === idOf(line.id));
+          item.current_quantity = line.quantity;
+          item.fulfillable_quantity = Math.min(item.fulfillable_quantity ?? line.quantity, line.quantity);
+        }
+      }
+
+      order.staff_notes = [...(order.staff_notes || []), staffNote];
+      state.edits.delete(id);
+      return { orderEditCommit: { order: { id: gid('Order', order.id) }, userErrors: [] } };
+    },
+
+    VerifyOrder: ({ id }) => {
+      const order = findOrder(id);
+      return {
+        order: order && {
+          currentTotalPriceSet: orderTotal(order),
+          lineItems: {
+            edges: order.line_items.map(item => ({
+              node: { id: gid('LineItem', item.id), sku: item.sku, currentQuantity: item.current_quantity ?? item.quantity }
+            }))
+          }
+        }
+      };
+    },
+
+    TagOrder: ({ id, tags }) => {
+      addTags(idOf(id), tags);
+      return { tagsAdd: { userErrors: [] } };
+    },
+
+    UntagOrder: ({ id, tags }) => {
+      const current = state.tags.get(idOf(id)) || new Set();
+      tags.forEach(tag => current.delete(tag));
+      return { tagsRemove: { userErrors: [] } };
+    },
+
+    FulfillmentOrders: ({ id }) => {
+      const order = findOrder(id);
+      return { order: order && { fulfillmentOrders: { nodes: structuredClone(fulfillmentOrdersOf(String(order.id))) } } };
+    },
+
+    Hold: ({ id, hold }) => {
+      const fulfillmentOrder = findFulfillmentOrder(id);
+      fulfillmentOrder.status = 'ON_HOLD';
+      fulfillmentOrder.fulfillmentHolds.push({ reason: hold.reason, reasonNotes: hold.reasonNotes });
+      return { fulfillmentOrderHold: { fulfillmentOrder: { id, status: fulfillmentOrder.status }, userErrors: [] } };
+    },
+
+    Release: ({ id }) => {
+      const fulfillmentOrder = findFulfillmentOrder(id);
+      fulfillmentOrder.status = 'OPEN';
+      fulfillmentOrder.fulfillmentHolds = [];
+      return { fulfillmentOrderReleaseHold: { fulfillmentOrder: { id, status: fulfillmentOrder.status }, userErrors: [] } };
+    },
+
+    SetOriginalBundles: ({ metafields }) => {
+      state.metafields.push(...metafields);
+      return { metafieldsSet: { metafields: metafields.map((metafield, index) => ({ id: gid('Metafield', index + 1) })), userErrors: [] } };
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/admin/api/:version/orders/:file', (req, res) => {
+    const order = state.orders.get(req.params.file.replace(/\.json$/, ''));
+    if (!order) {
+      return res.status(404).json({ errors: 'Not Found' });
+    }
+    res.json({ order });
+  });
+
+  app.post('/admin/api/:version/graphql.json', (req, res) => {
+    const { query, variables = {} } = req.body;
+    const match = /(?:query|mutation)\s+(\w+)/.exec(query);
+    const operation = match ? match[1] : null;
+    state.operations.push({ operation, variables });
+
+    const failures = state.failures.get(operation) || [];
+    if (failures.length > 0) {
+      return res.json({ errors: [{ message: failures.shift() }] });
+    }
+
+    const resolver = resolvers[operation];
+    if (!resolver) {
+      return res.json({ errors: [{ message: `Mock Shopify has no resolver for ${operation}` }] });
+    }
+
+    res.json({ data: resolver(variables) });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+
+    // GraphQL calls made so far, optionally only those of one operation
+    calls(operation) {
+      return state.operations.filter(call => !operation || call.operation === operation);
+    },
+
+    failNext(operation, message = 'Internal error', times = 1) {
+      state.failures.set(operation, [...(state.failures.get(operation) || []), ...Array(times).fill(message)]);
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { fixture, loadTestShop } from './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockShopify } from './helpers/mock-shopify.js';
+
+const orders = fixture('orders.json');
+const alertFile = path.join(process.env.DATA_DIR, 'alerts.jsonl');
+
+const MINUTE = 60 * 1000;
+
+let shopify;
+let holds;
+
+function raisedAlerts(event) {
+  return (fs.existsSync(alertFile) ? fs.readFileSync(alertFile, 'utf8').trim().split('\n') : [])
+    .map(line => JSON.parse(line))
+    .filter(alert => alert.event === event);
+}
+
+before(async () => {
+  shopify = await startMockShopify({ orders: Object.values(orders) });
+
+  // The timeout policy and alert channels are read when the modules load
+  process.env.HOLD_TIMEOUT_MINUTES = '30';
+  process.env.HOLD_TIMEOUT_ACTION = 'release';
+  process.env.ALERT_FILE = alertFile;
+  process.env.ALERT_THROTTLE_SECONDS = '0';
+  await loadTestShop({ apiUrl: shopify.url });
+  holds = await import('../lib/holds.js');
+});
+
+after(() => shopify.close());
+
+describe('checkHolds', () => {
+  it('leaves a hold alone until it times out', async () => {
+    const orderId = orders.multiBundle.id;
+    const hold = await holds.holdOrder(orderId);
+    assert.equal(hold.status, holds.HOLD_STATUS.HELD);
+    assert.equal(shopify.state.fulfillmentOrders.get(String(orderId))[0].status, 'ON_HOLD');
+
+    await holds.checkHolds(Date.parse(hold.heldAt) + 29 * MINUTE);
+    assert.equal(holds.getHold(orderId).status, holds.HOLD_STATUS.HELD);
+    assert.equal(raisedAlerts('order-hold-timeout').length, 0);
+  });
+
+  it('alerts on a timed-out hold and releases it with HOLD_TIMEOUT_ACTION=release', async () => {
+    const orderId = orders.multiBundle.id;
+    const { heldAt } = holds.getHold(orderId);
+
+    await holds.checkHolds(Date.parse(heldAt) + 31 * MINUTE);
+
+    const [alert] = raisedAlerts('order-hold-timeout');
+    assert.equal(alert.details.orderId, String(orderId));
+    assert.match(alert.message, /releasing it unsplit/);
+    assert.equal(holds.getHold(orderId).status, holds.HOLD_STATUS.RELEASED);
+    assert.equal(shopify.state.fulfillmentOrders.get(String(orderId))[0].status, 'OPEN');
+  });
+
+  it('retries a release that failed, without a timeout alert', async () => {
+    const orderId = orders.multiQuantity.id;
+    const { heldAt } = await holds.holdOrder(orderId);
+
+    shopify.failNext('Release', 'Internal error');
+    await holds.releaseHold(orderId, 'Split completed');
+    assert.equal(holds.getHold(orderId).releasePending, true);
+
+    await holds.checkHolds(Date.parse(heldAt) + MINUTE);
+    assert.equal(holds.getHold(orderId).status, holds.HOLD_STATUS.RELEASED);
+    assert.equal(raisedAlerts('order-hold-timeout').filter(alert => alert.details.orderId === String(orderId)).length, 0);
+  });
+});
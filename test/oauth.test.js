@@ -0,0 +1,80 @@
+import './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+
+const SECRET = 'app-secret';
+const SHOP = 'other-shop.myshopify.com';
+
+let oauth;
+let server;
+let baseUrl;
+
+// Sign a query string the way Shopify does
+function signed(params, secret = SECRET) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  return { ...params, hmac: crypto.createHmac('sha256', secret).update(message).digest('hex') };
+}
+
+function get(route, params) {
+  return fetch(`${baseUrl}${route}?${new URLSearchParams(params)}`, { redirect: 'manual' });
+}
+
+// State nonce of a freshly started install
+async function startInstall(shop = SHOP) {
+  const response = await get('/auth', { shop });
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get('location')).searchParams.get('state');
+}
+
+before(async () => {
+  // The app credentials are read when the module loads
+  process.env.SHOPIFY_API_KEY = 'app-key';
+  process.env.SHOPIFY_API_SECRET = SECRET;
+  process.env.APP_URL = 'https://splitter.example.com';
+  oauth = await import('../lib/oauth.js');
+
+  const app = express();
+  app.use('/auth', oauth.createOAuthRouter({ onInstalled: () => {} }));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('verifyOAuthQuery', () => {
+  it('accepts a query signed with the app secret', () => {
+    assert.equal(oauth.verifyOAuthQuery(signed({ shop: SHOP, code: 'abc', timestamp: '1' })), true);
+  });
+
+  it('rejects another secret, a changed parameter and a missing hmac', () => {
+    assert.equal(oauth.verifyOAuthQuery(signed({ shop: SHOP, code: 'abc' }, 'other')), false);
+    assert.equal(oauth.verifyOAuthQuery({ ...signed({ shop: SHOP, code: 'abc' }), code: 'xyz' }), false);
+    assert.equal(oauth.verifyOAuthQuery({ shop: SHOP, code: 'abc' }), false);
+  });
+});
+
+describe('GET /auth/callback', () => {
+  it('rejects a callback that fails HMAC validation', async () => {
+    const state = await startInstall();
+    const response = await get('/auth/callback', { ...signed({ shop: SHOP, code: 'abc', state }), code: 'xyz' });
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects a signed callback with an unknown state', async () => {
+    const response = await get('/auth/callback', signed({ shop: SHOP, code: 'abc', state: 'not-a-state' }));
+    assert.equal(response.status, 403);
+  });
+
+  it('rejects a state issued for another shop, and uses a state only once', async () => {
+    const state = await startInstall('third-shop.myshopify.com');
+    const response = await get('/auth/callback', signed({ shop: SHOP, code: 'abc', state }));
+    assert.equal(response.status, 403);
+
+    const retry = await get('/auth/callback', signed({ shop: 'third-shop.myshopify.com', code: 'abc', state }));
+    assert.equal(retry.status, 403);
+  });
+});
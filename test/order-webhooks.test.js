@@ -0,0 +1,342 @@
+import { TEST_SHOP, TEST_WEBHOOK_SECRET, fixture, waitFor } from './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { startMockShopify } from './helpers/mock-shopify.js';
+
+const orders = fixture('orders.json');
+const alertFile = path.join(process.env.DATA_DIR, 'alerts.jsonl');
+
+let shopify;
+let server;
+let baseUrl;
+let ledger;
+let queue;
+
+// POST a webhook delivery to the running app, signed unless told otherwise
+async function deliver(topic, payload, { webhookId = crypto.randomUUID(), secret = TEST_WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(`${baseUrl}/webhooks/${topic}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Shop-Domain': TEST_SHOP,
+      'X-Shopify-Webhook-Id': webhookId,
+      'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body).digest('base64')
+    },
+    body
+  });
+  return { status: response.status, text: await response.text(), webhookId };
+}
+
+function orderLines(orderId) {
+  return shopify.state.orders.get(String(orderId)).line_items;
+}
+
+// Units of a SKU currently on an order
+function currentUnits(orderId, sku) {
+  return orderLines(orderId)
+    .filter(item => item.sku === sku)
+    .reduce((sum, item) => sum + (item.current_quantity ?? item.quantity), 0);
+}
+
+// Calls of a GraphQL operation about one order (or its order edit)
+function orderCalls(operation, orderId) {
+  return shopify.calls(operation).filter(call => String(call.variables.id).endsWith(`/${orderId}`));
+}
+
+// A fixture order under a new ID, stored in the mock so tests that split
+// it leave the fixture itself alone
+function copyOrder(order, id, changes = {}) {
+  const copy = { ...structuredClone(order), id, name: `#${id}`, ...changes };
+  shopify.state.orders.set(String(id), structuredClone(copy));
+  return copy;
+}
+
+// Alerts raised so far, from the file channel
+function raisedAlerts(event) {
+  return (fs.existsSync(alertFile) ? fs.readFileSync(alertFile, 'utf8').trim().split('\n') : [])
+    .map(line => JSON.parse(line))
+    .filter(alert => alert.event === event);
+}
+
+// The delivery once its queued split has settled and the worker is idle
+function settledDelivery(webhookId) {
+  return waitFor(() => {
+    const delivery = ledger.getDelivery(webhookId);
+    const busy = [queue.JOB_STATUS.PENDING, queue.JOB_STATUS.RUNNING]
+      .some(status => queue.listJobs({ status }).length > 0);
+    return !busy && delivery && delivery.status !== ledger.DELIVERY_STATUS.RECEIVED && delivery;
+  });
+}
+
+before(async () => {
+  shopify = await startMockShopify({
+    orders: Object.values(orders),
+    variants: fixture('variants.json')
+  });
+
+  // The app builds its shop's API client when it loads, so the mock's URL
+  // must be in place before it is imported
+  process.env.SHOPIFY_API_URL = shopify.url;
+  process.env.ALERT_FILE = alertFile;
+  process.env.ALERT_THROTTLE_SECONDS = '0';
+  const { default: app } = await import('../index.js');
+  ledger = await import('../lib/ledger.js');
+  queue = await import('../lib/queue.js');
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  queue.startWorker();
+});
+
+after(async () => {
+  queue.stopWorker();
+  await new Promise(resolve => server.close(resolve));
+  await shopify.close();
+});
+
+describe('POST /webhooks/orders/create', () => {
+  it('rejects a delivery with a bad signature', async () => {
+    const calls = shopify.calls().length;
+    const { status } = await deliver('orders/create', orders.multiBundle, { secret: 'wrong' });
+    assert.equal(status, 401);
+    assert.equal(shopify.calls().length, calls);
+  });
+
+  it('splits every bundle of a multi-bundle order in one edit', async () => {
+    const { status, text, webhookId } = await deliver('orders/create', orders.multiBundle);
+    assert.equal(status, 200);
+    assert.equal(text, 'Order queued for splitting');
+
+    const delivery = await settledDelivery(webhookId);
+    assert.equal(delivery.status, ledger.DELIVERY_STATUS.SPLIT);
+
+    assert.equal(currentUnits(1001, 'CANDLE_BATTERY_BUNDLE'), 0);
+    assert.equal(currentUnits(1001, 'GIFT_SET'), 0);
+    assert.equal(currentUnits(1001, 'CANDLE_BUNDLE'), 3);
+    assert.equal(currentUnits(1001, 'BATTERY_ITEM'), 1);
+    assert.equal(currentUnits(1001, 'GIFT_BOX'), 1);
+    assert.equal(currentUnits(1001, 'PLAIN_MUG'), 1);
+
+    assert.equal(orderCalls('BeginEdit', 1001).length, 1);
+    assert.equal(orderCalls('CommitEdit', 1001).length, 1);
+    assert.ok(shopify.state.tags.get('1001').has('split-by-bundle-service'));
+  });
+
+  it('acknowledges a retried delivery without splitting again', async () => {
+    const first = await deliver('orders/create', orders.multiQuantity);
+    await settledDelivery(first.webhookId);
+    const edits = shopify.calls('BeginEdit').length;
+
+    const retry = await deliver('orders/create', orders.multiQuantity, { webhookId: first.webhookId });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.text, 'Duplicate delivery');
+    assert.equal(shopify.calls('BeginEdit').length, edits);
+  });
+
+  it('splits every unit of a multi-quantity line', async () => {
+    const order = copyOrder(orders.multiQuantity, 1012);
+    const { webhookId } = await deliver('orders/create', order);
+    await settledDelivery(webhookId);
+
+    assert.equal(currentUnits(1012, 'CANDLE_BATTERY_BUNDLE'), 0);
+    assert.equal(currentUnits(1012, 'CANDLE_BUNDLE'), 3);
+    assert.equal(currentUnits(1012, 'BATTERY_ITEM'), 3);
+  });
+
+  it('skips an order that was already split', async () => {
+    const order = copyOrder(orders.multiBundle, 1013);
+    const first = await deliver('orders/create', order);
+    await settledDelivery(first.webhookId);
+
+    // Another delivery of the same order, e.g. from a second subscription
+    const { status, text } = await deliver('orders/create', order);
+    assert.equal(status, 200);
+    assert.equal(text, 'Order already split');
+  });
+
+  it('discounts added components down to their share of a discounted bundle', async () => {
+    const { webhookId } = await deliver('orders/create', orders.discounted);
+    const delivery = await settledDelivery(webhookId);
+    assert.equal(delivery.status, ledger.DELIVERY_STATUS.SPLIT);
+
+    // Catalog prices are 25.00 and 20.00; the 40.00 bundle gives each
+    // 20.00, less 4.01 and 4.00 of the 8.01 discount over two units
+    const discounts = orderCalls('AddDiscount', 1003)
+      .map(call => call.variables.discount.fixedValue.amount);
+    assert.deepEqual(discounts, ['7.01', '7.00', '2.00']);
+
+    const added = orderLines(1003).filter(item => item.id >= 9000);
+    const total = added.reduce((sum, item) => sum + Math.round(parseFloat(item.price) * 100) * item.quantity, 0);
+    assert.equal(total, 2 * 4000 - 801);
+    assert.equal(raisedAlerts('order-total-changed').filter(alert => alert.details.orderId === 1003).length, 0);
+  });
+
+  it('refuses a split that would price a component above its catalog price', async () => {
+    // GIFT_BOX gets 5.20 of this gift set, and a discount cannot raise
+    // its 5.00 catalog price to that
+    const order = copyOrder(orders.multiBundle, 1010, {
+      line_items: [{ ...orders.multiBundle.line_items[1], id: 101, price: '52.00' }]
+    });
+
+    const { webhookId } = await deliver('orders/create', order);
+    const delivery = await settledDelivery(webhookId);
+    assert.equal(delivery.status, ledger.DELIVERY_STATUS.FAILED);
+    assert.match(delivery.message, /GIFT_BOX at 5\.20/);
+    assert.equal(orderCalls('BeginEdit', 1010).length, 0);
+
+    // The refusal cannot change on a retry, so the job is not retried
+    const job = queue.listJobs({ status: queue.JOB_STATUS.DEAD }).find(entry => entry.data.order?.id === 1010);
+    assert.equal(job.attempts, 1);
+  });
+
+  it('alerts when a split moves the order total', async () => {
+    // Cache the catalog, then change a price in Shopify behind its back
+    const { findVariants } = await import('../lib/catalog.js');
+    await findVariants(['CANDLE_BUNDLE', 'BATTERY_ITEM', 'GIFT_BOX']);
+    const candle = shopify.state.variants.find(variant => variant.sku === 'CANDLE_BUNDLE');
+    candle.price = '26.00';
+
+    try {
+      const order = copyOrder(orders.multiBundle, 1009);
+
+      const { webhookId } = await deliver('orders/create', order);
+      await settledDelivery(webhookId);
+    } finally {
+      candle.price = '25.00';
+    }
+
+    // Each of the three candles comes in 1.00 above its allocated price
+    const alert = raisedAlerts('order-total-changed').find(entry => entry.details.orderId === 1009);
+    assert.deepEqual([alert.details.before, alert.details.after], ['100.00', '103.00']);
+  });
+
+  it('skips an order without bundle SKUs', async () => {
+    const { status, text } = await deliver('orders/create', orders.noBundles);
+    assert.equal(status, 200);
+    assert.equal(text, 'No bundle SKUs');
+  });
+
+  it('marks the delivery failed once its split runs out of attempts', async () => {
+    // QUEUE_MAX_ATTEMPTS is 2 in the test environment
+    shopify.failNext('BeginEdit', 'Order is locked', 2);
+
+    const order = copyOrder(orders.multiBundle, 1006);
+
+    const { webhookId } = await deliver('orders/create', order);
+    const delivery = await settledDelivery(webhookId);
+    assert.equal(delivery.status, ledger.DELIVERY_STATUS.FAILED);
+    assert.match(delivery.message, /Order is locked/);
+    assert.ok(raisedAlerts('split-failed').some(alert => alert.details.orderId === 1006));
+  });
+
+  it('does not split again when reading the order back fails after the commit', async () => {
+    shopify.failNext('VerifyOrder', 'Timed out');
+
+    const order = copyOrder(orders.multiQuantity, 1008);
+
+    const { webhookId } = await deliver('orders/create', order);
+    const delivery = await settledDelivery(webhookId);
+    assert.equal(delivery.status, ledger.DELIVERY_STATUS.SPLIT);
+
+    assert.equal(orderCalls('CommitEdit', 1008).length, 1);
+    assert.equal(raisedAlerts('split-unverified')[0].details.orderId, 1008);
+  });
+});
+
+describe('POST /webhooks/orders/updated', () => {
+  it('skips an already split order whose bundle line has nothing left to fulfill', async () => {
+    const { status, text } = await deliver('orders/updated', orders.alreadySplit);
+    assert.equal(status, 200);
+    assert.equal(text, 'No new bundle lines');
+  });
+});
+
+describe('POST /admin/orders/:orderId/revert', () => {
+  function revert(orderId) {
+    return fetch(`${baseUrl}/admin/orders/${orderId}/revert`, {
+      method: 'POST',
+      headers: { 'X-Admin-Token': process.env.ADMIN_TOKEN }
+    });
+  }
+
+  it('undoes every stage of an order split in stages', async () => {
+    const order = copyOrder(orders.multiBundle, 1011);
+    const created = await deliver('orders/create', order);
+    await settledDelivery(created.webhookId);
+
+    // A bundle line added after the first split is split on its own
+    orderLines(1011).push({ ...order.line_items[0], id: 111 });
+    const updated = await deliver('orders/updated', shopify.state.orders.get('1011'));
+    await settledDelivery(updated.webhookId);
+
+    const response = await revert(1011);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).auditIds.length, 2);
+
+    assert.equal(currentUnits(1011, 'CANDLE_BATTERY_BUNDLE'), 2);
+    assert.equal(currentUnits(1011, 'GIFT_SET'), 1);
+    for (const sku of ['CANDLE_BUNDLE', 'BATTERY_ITEM', 'GIFT_BOX']) {
+      assert.equal(currentUnits(1011, sku), 0);
+    }
+
+    const deliveries = [ledger.getDelivery(created.webhookId), ledger.getDelivery(updated.webhookId)];
+    assert.deepEqual(deliveries.map(delivery => delivery.status), [ledger.DELIVERY_STATUS.REVERTED, ledger.DELIVERY_STATUS.REVERTED]);
+    assert.equal((await revert(1011)).status, 409);
+  });
+});
+
+describe('POST /test/process-order/:orderId', () => {
+  function processOrder(orderId) {
+    return fetch(`${baseUrl}/test/process-order/${orderId}`, {
+      method: 'POST',
+      headers: { 'X-Admin-Token': process.env.ADMIN_TOKEN }
+    });
+  }
+
+  it('leaves out bundle lines an earlier split emptied', async () => {
+    const response = await processOrder(1004);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).message, 'No bundle SKUs found to split');
+  });
+
+  it('refuses an order tagged as split', async () => {
+    copyOrder(orders.multiBundle, 1007, { tags: 'vip, split-by-bundle-service' });
+
+    const response = await processOrder(1007);
+    assert.equal(response.status, 409);
+    assert.equal(orderCalls('BeginEdit', 1007).length, 0);
+  });
+});
+
+describe('POST /webhooks/products/update', () => {
+  it('refreshes the catalog entry of a mapped variant', async () => {
+    const { status, text } = await deliver('products/update', {
+      id: 52,
+      variants: [{ id: 503, sku: 'GIFT_BOX', price: '6.00', grams: 120, requires_shipping: true }]
+    });
+    assert.equal(status, 200);
+    assert.equal(text, 'Catalog updated');
+
+    const { cachedVariants } = await import('../lib/catalog.js');
+    assert.equal(cachedVariants().GIFT_BOX.price, '6.00');
+  });
+
+  it('skips products without mapped SKUs', async () => {
+    const { text } = await deliver('products/update', { id: 99, variants: [{ id: 990, sku: 'POSTER', price: '9.00' }] });
+    assert.equal(text, 'No mapped SKUs');
+  });
+});
+
+describe('POST /webhooks/<unsupported topic>', () => {
+  it('answers 404', async () => {
+    const { status } = await deliver('products/create', { id: 1 });
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,62 @@
+import { TEST_SHOP } from './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createShopifyClient } from '../lib/shopify.js';
+
+let server;
+let client;
+
+// Requests the stand-in received, and the statuses it answers with next
+const received = [];
+const statuses = [];
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/admin/api/:version/graphql.json', (req, res) => {
+    received.push(req.body.query);
+    res.set('Retry-After', '0').status(statuses.shift() || 200).json({ data: { ok: true } });
+  });
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  client = createShopifyClient({
+    store: TEST_SHOP,
+    accessToken: 'shpat_test',
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    maxRetries: 2
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('graphql', () => {
+  it('retries a query that failed with a 5xx', async () => {
+    received.length = 0;
+    statuses.push(502);
+
+    assert.deepEqual(await client.graphql('query Ready { shop { name } }'), { ok: true });
+    assert.equal(received.length, 2);
+  });
+
+  it('does not retry a mutation that failed with a 5xx, which may have been applied', async () => {
+    received.length = 0;
+    statuses.push(502);
+
+    await assert.rejects(
+      client.graphql('mutation CommitEdit($id: ID!) { orderEditCommit(id: $id) { userErrors { message } } }', { id: '1' }),
+      error => error.status === 502 && error.retryable === false
+    );
+    assert.equal(received.length, 1);
+  });
+
+  it('retries a throttled mutation', async () => {
+    received.length = 0;
+    statuses.push(429);
+
+    await client.graphql('mutation TagOrder { tagsAdd(id: "1", tags: []) { userErrors { message } } }');
+    assert.equal(received.length, 2);
+  });
+});
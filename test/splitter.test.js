@@ -0,0 +1,226 @@
+import { fixture } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateCents, splitLineItems } from '../lib/splitter.js';
+import { validateMappings } from '../lib/mappings.js';
+
+const { mappings } = fixture('sku-mappings.json');
+const orders = fixture('orders.json');
+
+function cents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+// Units and total cents per SKU across the split lines
+function totalsBySku(lineItems) {
+  const totals = {};
+  for (const item of lineItems) {
+    const entry = totals[item.sku] || (totals[item.sku] = { quantity: 0, cents: 0 });
+    entry.quantity += item.quantity;
+    entry.cents += cents(item.price) * item.quantity;
+  }
+  return totals;
+}
+
+function sumOf(lineItems, amounts) {
+  return lineItems.flatMap(amounts).reduce((sum, amount) => sum + cents(amount), 0);
+}
+
+describe('allocateCents', () => {
+  it('shares a total so the parts add back up exactly', () => {
+    assert.deepEqual(allocateCents(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepEqual(allocateCents(5000, [3, 1]), [3750, 1250]);
+  });
+
+  it('shares evenly when every weight is zero', () => {
+    assert.deepEqual(allocateCents(10, [0, 0]), [5, 5]);
+  });
+});
+
+describe('splitLineItems', () => {
+  it('splits every bundle of a multi-bundle order and keeps other lines', () => {
+    const { newLineItems, hasChanges, unavailable } = splitLineItems(orders.multiBundle.line_items, mappings);
+
+    assert.equal(hasChanges, true);
+    assert.deepEqual(unavailable, []);
+    assert.deepEqual(totalsBySku(newLineItems), {
+      CANDLE_BUNDLE: { quantity: 3, cents: 2000 + 4500 },
+      BATTERY_ITEM: { quantity: 1, cents: 2000 },
+      GIFT_BOX: { quantity: 1, cents: 500 },
+      PLAIN_MUG: { quantity: 1, cents: 1000 }
+    });
+
+    const mug = newLineItems.find(item => item.sku === 'PLAIN_MUG');
+    assert.equal(mug.id, 13);
+    assert.equal(mug.bundle_line_item_id, undefined);
+
+    const fromGiftSet = newLineItems.filter(item => item.bundle_line_item_id === 12);
+    assert.deepEqual(fromGiftSet.map(item => item.sku).sort(), ['CANDLE_BUNDLE', 'GIFT_BOX']);
+  });
+
+  it('multiplies component quantities and keeps unit prices exact', () => {
+    const { newLineItems } = splitLineItems(orders.multiQuantity.line_items, mappings);
+    const totals = totalsBySku(newLineItems);
+
+    assert.equal(totals.CANDLE_BUNDLE.quantity, 3);
+    assert.equal(totals.BATTERY_ITEM.quantity, 3);
+    assert.equal(totals.CANDLE_BUNDLE.cents + totals.BATTERY_ITEM.cents, 3 * 3333);
+
+    // 99.99 does not divide evenly, so components come in two unit prices
+    for (const item of newLineItems) {
+      assert.match(item.price, /^\d+\.\d{2}$/);
+    }
+    assert.ok(newLineItems.length > 2);
+  });
+
+  it('carries discounts and taxes across the components', () => {
+    const bundle = orders.discounted.line_items[0];
+    const { newLineItems } = splitLineItems(orders.discounted.line_items, mappings);
+
+    assert.equal(
+      sumOf(newLineItems, item => item.discount_allocations.map(discount => discount.amount)),
+      cents(bundle.discount_allocations[0].amount)
+    );
+    assert.equal(
+      sumOf(newLineItems, item => item.tax_lines.map(tax => tax.price)),
+      cents(bundle.tax_lines[0].price)
+    );
+    for (const item of newLineItems) {
+      assert.equal(item.discount_allocations[0].discount_application_index, 0);
+      assert.equal(item.tax_lines[0].title, 'VAT');
+    }
+  });
+
+  it('takes component variant IDs and weights from the catalog, not the bundle', () => {
+    const variants = {
+      CANDLE_BUNDLE: { variantId: 'gid://shopify/ProductVariant/501', grams: 227, requiresShipping: true }
+    };
+    const { newLineItems } = splitLineItems(orders.multiQuantity.line_items, mappings, { variants });
+
+    const candle = newLineItems.find(item => item.sku === 'CANDLE_BUNDLE');
+    assert.equal(candle.variant_id, 501);
+    assert.equal(candle.grams, 227);
+    assert.equal(candle.requires_shipping, true);
+
+    // Not in the catalog: resolved later, with no weight borrowed from the bundle
+    const battery = newLineItems.find(item => item.sku === 'BATTERY_ITEM');
+    assert.equal(battery.variant_id, null);
+    assert.equal(battery.grams, 0);
+  });
+
+  it('leaves orders without bundle SKUs unchanged', () => {
+    const { newLineItems, hasChanges } = splitLineItems(orders.noBundles.line_items, mappings);
+
+    assert.equal(hasChanges, false);
+    assert.deepEqual(newLineItems.map(item => [item.id, item.sku, item.quantity]), [[51, 'PLAIN_MUG', 2]]);
+  });
+
+  it('leaves the components of an already split order alone', () => {
+    const components = orders.alreadySplit.line_items.filter(item => !mappings[item.sku]);
+    const { newLineItems, hasChanges } = splitLineItems(components, mappings);
+
+    assert.equal(hasChanges, false);
+    assert.deepEqual(newLineItems.map(item => item.id), [42, 43]);
+  });
+});
+
+describe('nested bundles', () => {
+  const nested = {
+    PARTY_PACK: [
+      { sku: 'CANDLE_BATTERY_BUNDLE', quantity: 2, title: 'Candle set' },
+      { sku: 'GIFT_BOX', quantity: 1, title: 'Gift Box' }
+    ],
+    CANDLE_BATTERY_BUNDLE: mappings.CANDLE_BATTERY_BUNDLE
+  };
+
+  it('expands a bundle inside a bundle into its leaf components', () => {
+    const line = { id: 1, sku: 'PARTY_PACK', quantity: 1, price: '60.00' };
+    const { newLineItems } = splitLineItems([line], nested);
+
+    // 30.00 to the two candle sets, shared again between their components
+    assert.deepEqual(totalsBySku(newLineItems), {
+      CANDLE_BUNDLE: { quantity: 2, cents: 1500 },
+      BATTERY_ITEM: { quantity: 2, cents: 1500 },
+      GIFT_BOX: { quantity: 1, cents: 3000 }
+    });
+    assert.ok(newLineItems.every(item => item.bundle_line_item_id === 1));
+  });
+
+  it('rejects a mapping file in which a bundle ends up containing itself', () => {
+    const errors = validateMappings({
+      version: 1,
+      mappings: {
+        OUTER: [{ sku: 'INNER', quantity: 1 }],
+        INNER: [{ sku: 'OUTER', quantity: 1 }]
+      }
+    });
+
+    assert.ok(errors.some(error => /^Bundle cycle: (OUTER -> INNER -> OUTER|INNER -> OUTER -> INNER)$/.test(error)), errors.join('\n'));
+  });
+});
+
+describe('conditional rules', () => {
+  const withRules = {
+    CANDLE_BATTERY_BUNDLE: {
+      components: mappings.CANDLE_BATTERY_BUNDLE,
+      rules: [
+        { when: { country: ['CA'] }, components: [{ sku: 'CANDLE_BUNDLE', quantity: 1, title: 'Candles' }] },
+        {
+          when: { country: ['CA'], properties: { 'Gift wrap': 'Yes' } },
+          components: [
+            { sku: 'CANDLE_BUNDLE', quantity: 1, title: 'Candles' },
+            { sku: 'GIFT_BOX', quantity: 1, title: 'Gift Box' }
+          ]
+        }
+      ]
+    }
+  };
+  const line = { id: 1, sku: 'CANDLE_BATTERY_BUNDLE', quantity: 1, price: '40.00' };
+
+  it('uses the components of the rule the line matches', () => {
+    const { newLineItems } = splitLineItems([line], withRules, { shippingCountry: 'CA' });
+    assert.deepEqual(newLineItems.map(item => item.sku), ['CANDLE_BUNDLE']);
+  });
+
+  it('prefers the matching rule with the most conditions', () => {
+    const wrapped = { ...line, properties: [{ name: 'Gift wrap', value: 'Yes' }] };
+    const { newLineItems } = splitLineItems([wrapped], withRules, { shippingCountry: 'CA' });
+    assert.deepEqual(newLineItems.map(item => item.sku), ['CANDLE_BUNDLE', 'GIFT_BOX']);
+  });
+
+  it('falls back to the default components when no rule matches', () => {
+    const { newLineItems } = splitLineItems([line], withRules, { shippingCountry: 'US' });
+    assert.deepEqual(newLineItems.map(item => item.sku), ['CANDLE_BUNDLE', 'BATTERY_ITEM']);
+  });
+});
+
+describe('substitutes', () => {
+  const withSubstitute = {
+    CANDLE_BATTERY_BUNDLE: [
+      mappings.CANDLE_BATTERY_BUNDLE[0],
+      { ...mappings.CANDLE_BATTERY_BUNDLE[1], substitutes: [{ sku: 'BATTERY_ALT', title: 'Other batteries' }] }
+    ]
+  };
+  const line = { id: 1, sku: 'CANDLE_BATTERY_BUNDLE', quantity: 2, price: '40.00' };
+
+  it('uses a substitute when the component is out of stock', () => {
+    const { newLineItems, unavailable } = splitLineItems([line], withSubstitute, {
+      availability: { BATTERY_ITEM: 1, BATTERY_ALT: 5 }
+    });
+
+    const substitute = newLineItems.find(item => item.sku === 'BATTERY_ALT');
+    assert.equal(substitute.quantity, 2);
+    assert.equal(substitute.substituted_for, 'BATTERY_ITEM');
+    assert.equal(substitute.title, 'Other batteries');
+    assert.deepEqual(unavailable, []);
+  });
+
+  it('keeps the component and reports the shortage when no substitute has stock', () => {
+    const { newLineItems, unavailable } = splitLineItems([line], withSubstitute, {
+      availability: { BATTERY_ITEM: 1, BATTERY_ALT: 0 }
+    });
+
+    assert.ok(newLineItems.some(item => item.sku === 'BATTERY_ITEM'));
+    assert.deepEqual(unavailable, [{ bundleSku: 'CANDLE_BATTERY_BUNDLE', sku: 'BATTERY_ITEM', required: 2, available: 1 }]);
+  });
+});
@@ -0,0 +1,69 @@
+import { TEST_SHOP, request } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { authenticateWebhook, verifyWebhook } from '../lib/webhooks.js';
+
+const SECRET = 'shhh';
+const BODY = Buffer.from(JSON.stringify({ id: 1001 }));
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+describe('verifyWebhook', () => {
+  it('accepts the signature of the raw body', () => {
+    assert.equal(verifyWebhook(SECRET, BODY, sign(BODY)), true);
+  });
+
+  it('rejects another secret, a changed body and a malformed signature', () => {
+    assert.equal(verifyWebhook(SECRET, BODY, sign(BODY, 'other')), false);
+    assert.equal(verifyWebhook(SECRET, Buffer.from('{"id":1002}'), sign(BODY)), false);
+    assert.equal(verifyWebhook(SECRET, BODY, 'not-base64-hmac'), false);
+  });
+});
+
+describe('authenticateWebhook', () => {
+  it('passes a signed delivery', () => {
+    const req = request({ 'X-Shopify-Hmac-Sha256': sign(BODY) }, BODY);
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET] }), null);
+  });
+
+  it('accepts the previous secret during a rotation', () => {
+    const req = request({ 'X-Shopify-Hmac-Sha256': sign(BODY, 'old') }, BODY);
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET, 'old'] }), null);
+  });
+
+  it('rejects a bad signature in either mode', () => {
+    const req = request({ 'X-Shopify-Hmac-Sha256': sign(BODY, 'other') }, BODY);
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET] }), 'Invalid signature');
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET], strict: true }), 'Invalid signature');
+  });
+
+  it('lets unsigned deliveries through only outside strict mode', () => {
+    const req = request({}, BODY);
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET] }), null);
+    assert.equal(authenticateWebhook(req, { secrets: [SECRET], strict: true }), 'Missing signature');
+    assert.equal(authenticateWebhook(req, { secrets: [], strict: true }), 'No webhook secret configured');
+  });
+
+  it('rejects shops outside the allow list', () => {
+    const signature = sign(BODY);
+    const allowed = request({ 'X-Shopify-Hmac-Sha256': signature, 'X-Shopify-Shop-Domain': TEST_SHOP }, BODY);
+    const other = request({ 'X-Shopify-Hmac-Sha256': signature, 'X-Shopify-Shop-Domain': 'other.myshopify.com' }, BODY);
+    const auth = { secrets: [SECRET], allowedShops: [TEST_SHOP] };
+
+    assert.equal(authenticateWebhook(allowed, auth), null);
+    assert.equal(authenticateWebhook(other, auth), 'Shop other.myshopify.com not allowed');
+  });
+
+  it('rejects stale deliveries when a maximum age is set', () => {
+    const now = Date.parse('2024-06-01T12:00:00Z');
+    const headers = { 'X-Shopify-Hmac-Sha256': sign(BODY) };
+    const auth = { secrets: [SECRET], strict: true, maxAgeSeconds: 60 };
+
+    assert.equal(authenticateWebhook(request({ ...headers, 'X-Shopify-Triggered-At': '2024-06-01T11:59:30Z' }, BODY), auth, now), null);
+    assert.match(authenticateWebhook(request({ ...headers, 'X-Shopify-Triggered-At': '2024-06-01T11:50:00Z' }, BODY), auth, now), /older than 60s/);
+    assert.equal(authenticateWebhook(request(headers, BODY), auth, now), 'Missing X-Shopify-Triggered-At');
+  });
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Subscription Script for Shopify Order Splitter
+ * ======================================================
+ *
+ * Checks the store's webhook subscriptions through the running service's
+ * /admin/webhooks API, and with --sync creates the missing ones and fixes
+ * wrong addresses or API versions.
+ * Run with: node webhooks.js --sync
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import fetch from 'node-fetch';
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    warning: '\x1b[33m', // Yellow
+    error: '\x1b[31m',   // Red
+    reset: '\x1b[0m'     // Reset
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+// Value following a command line flag
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+async function callAdmin(baseUrl, shop, path, method = 'GET') {
+  const headers = { 'Authorization': `Bearer ${process.env.ADMIN_TOKEN}` };
+  if (shop) {
+    headers['X-Shop-Domain'] = shop;
+  }
+
+  const response = await fetch(`${baseUrl}/admin${path}`, { method, headers });
+  const result = await response.json();
+
+  if (!response.ok && !result.results) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return result;
+}
+
+async function manageWebhooks(args) {
+  const baseUrl = option(args, '--url') || process.env.TEST_URL || 'http://localhost:3000';
+  const shop = option(args, '--shop') || null;
+  const sync = args.includes('--sync');
+
+  if (!process.env.ADMIN_TOKEN) {
+    log('❌ ADMIN_TOKEN not configured', 'error');
+    process.exit(1);
+  }
+
+  log(sync ? '🔧 Syncing webhook subscriptions' : '🔍 Checking webhook subscriptions - nothing will be changed');
+  const { results } = sync
+    ? await callAdmin(baseUrl, shop, '/webhooks/sync', 'POST')
+    : await callAdmin(baseUrl, shop, '/webhooks');
+
+  for (const step of results) {
+    if (step.error) {
+      log(`   ❌ ${step.topic}: ${step.action} failed - ${step.error}`, 'error');
+    } else if (step.action === 'ok') {
+      log(`   ✅ ${step.topic}`, 'success');
+    } else {
+      log(`   ${sync ? '✅' : '⚠️ '} ${step.topic}: ${step.action}${sync ? 'd' : ''} (${step.reason})`, sync ? 'success' : 'warning');
+    }
+  }
+
+  const pending = results.filter(step => step.error || (!sync && step.action !== 'ok'));
+  if (pending.length > 0) {
+    if (!sync) {
+      log('\nRe-run with --sync to fix them.');
+    }
+    process.exit(1);
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Shopify Order Splitter Webhook Script
+=====================================
+
+Usage: node webhooks.js [options]
+
+Options:
+  --help, -h            Show this help message
+  --sync                Create missing subscriptions and fix wrong ones (default is a check)
+  --shop <domain>       Shop to manage when the service serves several
+  --url <url>           Service URL (default: http://localhost:3000)
+
+Environment Variables:
+  TEST_URL              Service URL (default: http://localhost:3000)
+  ADMIN_TOKEN           Admin token for the service's admin API
+
+The service needs APP_URL set to its public URL: that is where the
+subscriptions are pointed.
+`);
+  process.exit(0);
+}
+
+manageWebhooks(args).catch(error => {
+  log(`❌ Webhook management failed: ${error.message}`, 'error');
+  process.exit(1);
+});